@@ -0,0 +1,364 @@
+// /assets/js/carton-calculator.mjs
+// Flooring quantity / carton calculator. Mounts on every
+// <div data-carton-calculator> on the page (carton coverage, plank size and
+// weight per carton spec pages). data-label="Rigid Core LVT" names the
+// product in the copied summary.
+// Inputs follow the site-wide unit preference set by the header toggle
+// (getUnitPref in units.mjs); "metric" switches to m, m², cm and kg.
+
+import { getUnitPref } from "./units.mjs";
+
+/* -------------------------
+   Math
+-------------------------- */
+
+// Default waste by layout, as a percent of the area to cover
+export const LAYOUTS = {
+  straight: { label: "Straight lay", waste: 10 },
+  diagonal: { label: "Diagonal", waste: 15 },
+  herringbone: { label: "Herringbone / chevron", waste: 20 },
+};
+
+// Field units per system; repeat is entered in the small unit and
+// converted to the room unit (12 in per ft, 100 cm per m)
+export const SYSTEMS = {
+  imperial: { length: "ft", area: "sq ft", repeat: "in", mass: "lb", repeatPerLength: 12 },
+  metric: { length: "m", area: "m²", repeat: "cm", mass: "kg", repeatPerLength: 100 },
+};
+
+// Imperial → metric factors, used when the unit toggle changes under a filled form
+const TO_METRIC = { length: 0.3048, area: 0.092903, repeat: 2.54, mass: 0.45359 };
+
+// {
+//   rooms: [{ length, width }],   length runs along the planks
+//   repeat,                       pattern repeat along the plank (small unit)
+//   waste,                        percent
+//   coverage,                     area per carton
+//   cartonWeight, perPallet,      optional
+// } → quantities in the same unit system.
+// Each row loses on average half a repeat to pattern matching, so the
+// repeat allowance is width × repeat / 2 per room.
+export function computeTakeoff({ rooms, repeat = 0, waste = 0, coverage, cartonWeight = 0, perPallet = 0 }, system = "imperial") {
+  const { repeatPerLength } = SYSTEMS[system];
+  const valid = rooms.filter((r) => r.length > 0 && r.width > 0);
+
+  const netArea = valid.reduce((sum, r) => sum + r.length * r.width, 0);
+  const repeatArea = repeat > 0
+    ? valid.reduce((sum, r) => sum + r.width * (repeat / repeatPerLength) / 2, 0)
+    : 0;
+  const wasteArea = (netArea + repeatArea) * (waste / 100);
+  const totalArea = netArea + repeatArea + wasteArea;
+
+  const cartons = coverage > 0 && totalArea > 0 ? Math.ceil(round6(totalArea / coverage)) : 0;
+  const orderedArea = cartons * coverage;
+
+  const totalWeight = cartonWeight > 0 ? cartons * cartonWeight : 0;
+  const pallets = perPallet > 0 && cartons ? Math.ceil(cartons / perPallet) : 0;
+  const palletWeight = pallets ? Math.min(cartons, perPallet) * cartonWeight : 0;
+
+  return {
+    rooms: valid.map((r) => ({ ...r, area: r.length * r.width })),
+    netArea, repeatArea, wasteArea, totalArea,
+    cartons, orderedArea,
+    totalWeight, pallets, palletWeight,
+  };
+}
+
+// Plain-text summary for pasting into an estimate or email
+export function formatTakeoff(input, result, system = "imperial", { label = "", layout = "" } = {}) {
+  const u = SYSTEMS[system];
+  const lines = [];
+
+  lines.push(label ? `Flooring takeoff — ${label}` : "Flooring takeoff");
+  result.rooms.forEach((r, i) => {
+    lines.push(`Area ${i + 1}: ${fmt(r.length)} × ${fmt(r.width)} ${u.length} = ${fmt(r.area)} ${u.area}`);
+  });
+  lines.push(`Net area: ${fmt(result.netArea)} ${u.area}`);
+  if (result.repeatArea) {
+    lines.push(`Pattern repeat allowance (${fmt(input.repeat)} ${u.repeat}): ${fmt(result.repeatArea)} ${u.area}`);
+  }
+  const layoutLabel = LAYOUTS[layout]?.label;
+  lines.push(`Waste (${layoutLabel ? `${layoutLabel.toLowerCase()}, ` : ""}${fmt(input.waste)}%): ${fmt(result.wasteArea)} ${u.area}`);
+  lines.push(`Total to cover: ${fmt(result.totalArea)} ${u.area}`);
+  lines.push(`Cartons: ${result.cartons} × ${fmt(input.coverage)} ${u.area} = ${fmt(result.orderedArea)} ${u.area}`);
+  if (result.totalWeight) {
+    const pallets = result.pallets ? ` on ${result.pallets} pallet${result.pallets === 1 ? "" : "s"}` : "";
+    lines.push(`Weight: ${result.cartons} × ${fmt(input.cartonWeight)} ${u.mass} = ${fmt(result.totalWeight)} ${u.mass}${pallets}`);
+    if (result.pallets > 1) lines.push(`Heaviest pallet: ${fmt(result.palletWeight)} ${u.mass} (pallet itself not included)`);
+  }
+
+  return lines.join("\n");
+}
+
+/* -------------------------
+   Component
+-------------------------- */
+
+const INPUT_CLASS = "w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-300";
+const BUTTON_CLASS = "rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm hover:bg-slate-50";
+
+let __uid = 0;
+
+function getSystem() {
+  return getUnitPref() === "metric" ? "metric" : "imperial";
+}
+
+export function mountCartonCalculator(root) {
+  if (root.dataset.bound === "1") return;
+  root.dataset.bound = "1";
+
+  const id = `cartonCalc${++__uid}`;
+  let system = getSystem();
+
+  root.innerHTML = renderForm(id);
+  const form = root.querySelector("form");
+  const roomsEl = root.querySelector("[data-rooms]");
+  const resultsEl = root.querySelector("[data-results]");
+  const statusEl = root.querySelector("[data-copy-status]");
+
+  form.elements.waste.value = LAYOUTS.straight.waste;
+  addRoom(roomsEl, id);
+  applyUnitLabels(root, system);
+
+  const update = () => {
+    const input = readInput(form, roomsEl);
+    const result = computeTakeoff(input, system);
+    resultsEl.innerHTML = renderResults(result, system);
+    statusEl.textContent = "";
+    return { input, result };
+  };
+
+  form.addEventListener("input", (e) => {
+    // Picking a layout resets the waste factor to that layout's default
+    if (e.target.name === "layout") form.elements.waste.value = LAYOUTS[e.target.value].waste;
+    update();
+  });
+
+  form.addEventListener("submit", (e) => e.preventDefault());
+
+  root.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+
+    if (btn.dataset.action === "add-room") {
+      addRoom(roomsEl, id);
+      roomsEl.lastElementChild.querySelector("input").focus();
+      applyUnitLabels(root, system);
+      update();
+    }
+
+    if (btn.dataset.action === "remove-room") {
+      btn.closest("[data-room]").remove();
+      renumberRooms(roomsEl);
+      roomsEl.querySelector("input")?.focus();
+      update();
+    }
+
+    if (btn.dataset.action === "copy") {
+      const { input, result } = update();
+      const text = formatTakeoff(input, result, system, {
+        label: root.dataset.label || "",
+        layout: form.elements.layout.value,
+      });
+      statusEl.textContent = (await copyText(text)) ? "Copied to clipboard." : "Copy failed — select the results and copy manually.";
+    }
+  });
+
+  // The header unit toggle fires this after saving the preference
+  document.addEventListener("floorref:units", (e) => {
+    const next = e.detail?.system === "metric" ? "metric" : "imperial";
+    if (next === system) return;
+    convertForm(form, roomsEl, system, next);
+    system = next;
+    applyUnitLabels(root, system);
+    update();
+  });
+
+  update();
+}
+
+function readInput(form, roomsEl) {
+  const num = (el) => Math.max(0, Number(el?.value) || 0);
+  return {
+    rooms: [...roomsEl.querySelectorAll("[data-room]")].map((row) => ({
+      length: num(row.querySelector('[name="length"]')),
+      width: num(row.querySelector('[name="width"]')),
+    })),
+    repeat: num(form.elements.repeat),
+    waste: num(form.elements.waste),
+    coverage: num(form.elements.coverage),
+    cartonWeight: num(form.elements.cartonWeight),
+    perPallet: Math.floor(num(form.elements.perPallet)),
+  };
+}
+
+function convertValue(value, kind, from, to) {
+  if (from === to) return value;
+  const factor = to === "metric" ? TO_METRIC[kind] : 1 / TO_METRIC[kind];
+  return Number((Number(value) * factor).toPrecision(4));
+}
+
+function convertForm(form, roomsEl, from, to) {
+  const convert = (el, kind) => {
+    if (el && el.value !== "") el.value = convertValue(el.value, kind, from, to);
+  };
+  roomsEl.querySelectorAll('[name="length"], [name="width"]').forEach((el) => convert(el, "length"));
+  convert(form.elements.repeat, "repeat");
+  convert(form.elements.coverage, "area");
+  convert(form.elements.cartonWeight, "mass");
+}
+
+function applyUnitLabels(root, system) {
+  const u = SYSTEMS[system];
+  root.querySelectorAll("[data-unit]").forEach((el) => {
+    el.textContent = u[el.dataset.unit];
+  });
+}
+
+function addRoom(roomsEl, id) {
+  const n = roomsEl.children.length + 1;
+  const key = `${id}-${++__uid}`;
+  roomsEl.insertAdjacentHTML("beforeend", `
+    <div data-room class="grid grid-cols-[1fr_1fr_auto] items-end gap-3">
+      <div>
+        <label class="block text-xs font-semibold text-slate-500" for="${key}-length">Area <span data-room-number>${n}</span> length (<span data-unit="length"></span>)</label>
+        <input id="${key}-length" name="length" type="number" min="0" step="any" inputmode="decimal" class="${INPUT_CLASS} mt-1" />
+      </div>
+      <div>
+        <label class="block text-xs font-semibold text-slate-500" for="${key}-width">Width (<span data-unit="length"></span>)</label>
+        <input id="${key}-width" name="width" type="number" min="0" step="any" inputmode="decimal" class="${INPUT_CLASS} mt-1" />
+      </div>
+      <button type="button" data-action="remove-room" class="${BUTTON_CLASS}" aria-label="Remove area ${n}">Remove</button>
+    </div>
+  `);
+  renumberRooms(roomsEl);
+}
+
+// Keep labels in order after a removal; the last remaining row can't be removed
+function renumberRooms(roomsEl) {
+  const rows = [...roomsEl.querySelectorAll("[data-room]")];
+  rows.forEach((row, i) => {
+    row.querySelector("[data-room-number]").textContent = i + 1;
+    const btn = row.querySelector('[data-action="remove-room"]');
+    btn.setAttribute("aria-label", `Remove area ${i + 1}`);
+    btn.disabled = rows.length === 1;
+    btn.classList.toggle("invisible", rows.length === 1);
+  });
+}
+
+function renderForm(id) {
+  const layoutOptions = Object.entries(LAYOUTS)
+    .map(([value, l]) => `<option value="${value}">${l.label} (${l.waste}% waste)</option>`)
+    .join("");
+
+  return `
+    <form class="rounded-xl border border-slate-200 bg-white p-6 shadow-sm space-y-6" novalidate>
+      <fieldset class="space-y-3">
+        <legend class="text-lg font-semibold">Room dimensions</legend>
+        <p class="text-sm text-slate-600">Enter each rectangle separately — split an L-shaped room into two. Length runs along the planks.</p>
+        <div data-rooms class="space-y-3"></div>
+        <button type="button" data-action="add-room" class="${BUTTON_CLASS}">Add area</button>
+      </fieldset>
+
+      <div class="grid gap-4 sm:grid-cols-2">
+        <div>
+          <label class="block text-xs font-semibold text-slate-500" for="${id}-layout">Layout</label>
+          <select id="${id}-layout" name="layout" class="${INPUT_CLASS} mt-1">${layoutOptions}</select>
+        </div>
+        <div>
+          <label class="block text-xs font-semibold text-slate-500" for="${id}-waste">Waste factor (%)</label>
+          <input id="${id}-waste" name="waste" type="number" min="0" step="any" inputmode="decimal" class="${INPUT_CLASS} mt-1" />
+        </div>
+        <div>
+          <label class="block text-xs font-semibold text-slate-500" for="${id}-repeat">Pattern repeat (<span data-unit="repeat"></span>, optional)</label>
+          <input id="${id}-repeat" name="repeat" type="number" min="0" step="any" inputmode="decimal" class="${INPUT_CLASS} mt-1" />
+        </div>
+        <div>
+          <label class="block text-xs font-semibold text-slate-500" for="${id}-coverage">Coverage per carton (<span data-unit="area"></span>)</label>
+          <input id="${id}-coverage" name="coverage" type="number" min="0" step="any" inputmode="decimal" class="${INPUT_CLASS} mt-1" />
+        </div>
+        <div>
+          <label class="block text-xs font-semibold text-slate-500" for="${id}-carton-weight">Weight per carton (<span data-unit="mass"></span>, optional)</label>
+          <input id="${id}-carton-weight" name="cartonWeight" type="number" min="0" step="any" inputmode="decimal" class="${INPUT_CLASS} mt-1" />
+        </div>
+        <div>
+          <label class="block text-xs font-semibold text-slate-500" for="${id}-per-pallet">Cartons per pallet (optional)</label>
+          <input id="${id}-per-pallet" name="perPallet" type="number" min="0" step="1" inputmode="numeric" class="${INPUT_CLASS} mt-1" />
+        </div>
+      </div>
+
+      <div class="rounded-lg bg-slate-50 p-4">
+        <div class="text-sm font-semibold text-slate-500">Results</div>
+        <div data-results aria-live="polite" class="mt-2"></div>
+        <div class="mt-4 flex flex-wrap items-center gap-3">
+          <button type="button" data-action="copy" class="${BUTTON_CLASS}">Copy results as text</button>
+          <span data-copy-status role="status" class="text-sm text-slate-600"></span>
+        </div>
+      </div>
+    </form>
+  `;
+}
+
+function renderResults(r, system) {
+  const u = SYSTEMS[system];
+  if (!r.netArea) {
+    return `<p class="text-sm text-slate-600">Enter at least one length and width.</p>`;
+  }
+
+  const rows = [
+    ["Net area", `${fmt(r.netArea)} ${u.area}`],
+    ...(r.repeatArea ? [["Pattern repeat allowance", `${fmt(r.repeatArea)} ${u.area}`]] : []),
+    ["Waste", `${fmt(r.wasteArea)} ${u.area}`],
+    ["Total to cover", `${fmt(r.totalArea)} ${u.area}`],
+    ["Cartons to order", r.cartons ? `${r.cartons} (${fmt(r.orderedArea)} ${u.area})` : "Enter coverage per carton"],
+  ];
+  if (r.totalWeight) {
+    rows.push(["Total weight", `${fmt(r.totalWeight)} ${u.mass}`]);
+    if (r.pallets) rows.push(["Pallet weight", `${r.pallets} pallet${r.pallets === 1 ? "" : "s"}, up to ${fmt(r.palletWeight)} ${u.mass} each`]);
+  }
+
+  return `
+    <dl class="grid grid-cols-[auto_1fr] gap-x-6 gap-y-1 text-sm">
+      ${rows.map(([k, v]) => `<dt class="text-slate-600">${k}</dt><dd class="font-semibold text-slate-900">${v}</dd>`).join("")}
+    </dl>
+    <p class="mt-3 text-xs text-slate-500">Cartons are rounded up to whole boxes. Pallet weight is product only — add the pallet and packaging for freight.</p>
+  `;
+}
+
+/* -------------------------
+   Utilities
+-------------------------- */
+
+function fmt(x) {
+  return Number(x).toLocaleString("en-US", { maximumFractionDigits: 1 });
+}
+
+// Floating-point noise shouldn't push 56.1 / 18.7 over to 4 cartons
+function round6(x) {
+  return Math.round(x * 1e6) / 1e6;
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    // Clipboard API unavailable (http, old browsers): fall back to execCommand
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    ta.setAttribute("readonly", "");
+    ta.className = "fixed -left-[9999px]";
+    document.body.appendChild(ta);
+    ta.select();
+    let ok = false;
+    try {
+      ok = document.execCommand("copy");
+    } catch { /* unsupported */ }
+    ta.remove();
+    return ok;
+  }
+}
+
+if (typeof document !== "undefined") {
+  document.querySelectorAll("[data-carton-calculator]").forEach(mountCartonCalculator);
+}
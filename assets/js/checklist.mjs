@@ -0,0 +1,61 @@
+// /assets/js/checklist.mjs
+// Checkbox persistence for the generated spec sheet checklist packets
+// (scripts/build-checklists.mjs). Checked item ids are saved per packet in
+// localStorage under "floorref_checklist:<packet url>".
+
+const STORAGE_PREFIX = "floorref_checklist:";
+
+function loadChecked(key) {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(key) || "[]"));
+  } catch {
+    return new Set();
+  }
+}
+
+function saveChecked(key, checked) {
+  try {
+    if (checked.size) localStorage.setItem(key, JSON.stringify([...checked]));
+    else localStorage.removeItem(key);
+  } catch { /* storage disabled or full */ }
+}
+
+export function initChecklist(root) {
+  if (root.dataset.bound === "1") return;
+  root.dataset.bound = "1";
+
+  const key = STORAGE_PREFIX + root.dataset.checklist;
+  const boxes = [...root.querySelectorAll("input[type=checkbox][data-check-id]")];
+  const progressEl = document.querySelector("[data-checklist-progress]");
+  const checked = loadChecked(key);
+
+  // Ids of items that no longer exist are dropped on the next save
+  const update = () => {
+    const current = new Set(boxes.filter((b) => b.checked).map((b) => b.dataset.checkId));
+    saveChecked(key, current);
+    if (progressEl) progressEl.textContent = `${current.size} of ${boxes.length} checked`;
+  };
+
+  boxes.forEach((b) => {
+    b.checked = checked.has(b.dataset.checkId);
+  });
+
+  root.addEventListener("change", (e) => {
+    if (e.target.matches("input[data-check-id]")) update();
+  });
+
+  document.querySelector("[data-checklist-print]")?.addEventListener("click", () => window.print());
+
+  document.querySelector("[data-checklist-clear]")?.addEventListener("click", () => {
+    if (!boxes.some((b) => b.checked)) return;
+    if (!window.confirm("Clear all checks on this checklist?")) return;
+    boxes.forEach((b) => { b.checked = false; });
+    update();
+  });
+
+  if (progressEl) progressEl.textContent = `${boxes.filter((b) => b.checked).length} of ${boxes.length} checked`;
+}
+
+if (typeof document !== "undefined") {
+  document.querySelectorAll("[data-checklist]").forEach(initChecklist);
+}
@@ -0,0 +1,372 @@
+// /assets/js/search.mjs
+// Shared search ranking for the header dropdown (site.js), the /search/ page
+// and Node build scripts. Pure functions over search-index.json — no DOM
+// access, so it imports the same way in the browser and in Node.
+
+import { MEASURE_TOLERANCE, parseMeasures } from "./units.mjs";
+
+/* -------------------------
+   Ranking (BM25F over the prebuilt inverted index)
+-------------------------- */
+
+// search-index.json (see scripts/build-search-index.mjs):
+// {
+//   fields:  ["body", "headings", "keywords", "title"],
+//   weights: [1, 2, 4, 8],                 // per field
+//   avgLengths: [...],                     // mean field length in terms
+//   docs:  [{ title, url, snippet, keywords, lengths: [...], page? }, ...],
+//   terms: { "warranty": [[docIndex, tfBody, tfHeadings, tfKeywords, tfTitle], ...] }
+// }
+// Trailing zero counts are omitted from postings. Docs may also carry
+// measures: [[dimension, lo, hi, field?], ...] in canonical units (see
+// units.mjs); field is the index of the strongest field the value appears
+// in, omitted for body.
+//
+// Page sections ("Wear Layer › Typical ranges", linked by #id) ship in
+// search-sections.json as { docs, terms }: docs with "page" set, numbered on
+// from the last page. addSections merges them in; until then only pages rank.
+
+// The index with the section docs and their postings added (a new object)
+export function addSections(index, sections) {
+  const terms = { ...index.terms };
+  for (const [t, postings] of Object.entries(sections?.terms || {})) {
+    terms[t] = terms[t] ? terms[t].concat(postings) : postings;
+  }
+  return { ...index, docs: index.docs.concat(sections?.docs || []), terms };
+}
+
+// Field weights multiply tf before saturation, so k1 sits well above the
+// textbook 1.2; otherwise a title hit and a page full of body mentions tie.
+const K1 = 10;
+const B = 0.75;
+
+// The last query word is still being typed in the dropdown, so it also
+// matches longer terms it's a prefix of ("warr" → "warranty"), at a discount.
+const PREFIX_BOOST = 0.5;
+const MIN_PREFIX = 3;
+
+export function searchIndex(index, query, { limit = Infinity } = {}) {
+  const docs = index?.docs || [];
+  // "0.3 mm wear layer": the measurement is matched by value, its unit and
+  // the rest as text
+  const queryMeasures = parseMeasures(query);
+  const queryTerms = [...new Set(toTerms(removeMeasures(query, queryMeasures)))];
+  if (!docs.length || (!queryTerms.length && !queryMeasures.length)) return [];
+
+  const totals = new Map();
+  for (const [doc, s] of scoreMeasures(index, queryMeasures)) {
+    totals.set(doc, (totals.get(doc) || 0) + s);
+  }
+
+  queryTerms.forEach((term, i) => {
+    const isLast = i === queryTerms.length - 1;
+    // Best score per doc for this query term, so several prefix expansions
+    // of one word can't outweigh a second word
+    const best = new Map();
+    for (const [t, boost] of expandTerm(index, term, isLast)) {
+      for (const [doc, score] of scoreTerm(index, t)) {
+        const s = score * boost;
+        if (s > (best.get(doc) || 0)) best.set(doc, s);
+      }
+    }
+    for (const [doc, s] of best) totals.set(doc, (totals.get(doc) || 0) + s);
+  });
+
+  return collapseSections([...totals].map(([doc, score]) => ({ ...docs[doc], __score: score })))
+    .sort((a, b) => b.__score - a.__score || (a.title || "").localeCompare(b.title || ""))
+    .slice(0, limit);
+}
+
+// A matching measurement scores like one occurrence of a term in the field it
+// appears in: a value in a heading beats one in body copy, a short section
+// beats a long page, and rare values ("1356 g/m²") count for more than
+// common ones ("6 mm").
+function scoreMeasures(index, queryMeasures) {
+  const scores = new Map();
+  const n = index.docs.length;
+
+  for (const qm of queryMeasures) {
+    const matches = [];
+    index.docs.forEach((d, doc) => {
+      let field = -1;
+      for (const m of d.measures || []) {
+        if (measureMatches(qm, m)) field = Math.max(field, m[3] || 0);
+      }
+      if (field !== -1) matches.push([doc, field]);
+    });
+    const idf = Math.log(1 + (n - matches.length + 0.5) / (matches.length + 0.5));
+    for (const [doc, field] of matches) {
+      const length = index.docs[doc].lengths?.[field] || 0;
+      const norm = 1 - B + B * (length / (index.avgLengths[field] || 1));
+      const tf = (index.weights[field] || 1) / norm;
+      scores.set(doc, (scores.get(doc) || 0) + idf * tf / (K1 + tf));
+    }
+  }
+  return scores;
+}
+
+// A page's sections repeat its body text, so keep at most one section per page,
+// and only when it outscores the page itself ("wear layer ranges" → #ranges).
+function collapseSections(hits) {
+  const pageScores = new Map(hits.filter(h => !h.page).map(h => [h.url, h.__score]));
+  const bestSection = new Map();
+  for (const h of hits) {
+    if (!h.page || h.__score <= (pageScores.get(h.page) || 0)) continue;
+    if (h.__score > (bestSection.get(h.page)?.__score || 0)) bestSection.set(h.page, h);
+  }
+  return hits.filter(h => !h.page || bestSection.get(h.page) === h);
+}
+
+function expandTerm(index, term, isLast) {
+  const out = [];
+  if (index.terms[term]) out.push([term, 1]);
+  if (isLast && term.length >= MIN_PREFIX) {
+    for (const t of Object.keys(index.terms)) {
+      if (t !== term && t.startsWith(term)) out.push([t, PREFIX_BOOST]);
+    }
+  }
+  return out;
+}
+
+// BM25F: length-normalise each field's tf, weight and sum them, then saturate once
+function scoreTerm(index, term) {
+  const postings = index.terms[term] || [];
+  const n = index.docs.length;
+  const idf = Math.log(1 + (n - postings.length + 0.5) / (postings.length + 0.5));
+
+  return postings.map(([doc, ...tfs]) => {
+    const lengths = index.docs[doc].lengths || [];
+    let tf = 0;
+    tfs.forEach((count, f) => {
+      if (!count) return;
+      const norm = 1 - B + B * ((lengths[f] || 0) / (index.avgLengths[f] || 1));
+      tf += (index.weights[f] || 1) * count / norm;
+    });
+    return [doc, idf * tf / (K1 + tf)];
+  });
+}
+
+/* -------------------------
+   Measurements (parsing lives in units.mjs)
+-------------------------- */
+
+// q: a parsed query measure; m: a doc measure ({dim, lo, hi} or [dim, lo, hi])
+export function measureMatches(q, m) {
+  const [dim, lo, hi] = Array.isArray(m) ? m : [m.dim, m.lo, m.hi];
+  if (q.dim !== dim) return false;
+  return q.hi >= lo * (1 - MEASURE_TOLERANCE) && q.lo <= hi * (1 + MEASURE_TOLERANCE);
+}
+
+// "12–20 mil" → "mil": the value is matched by measureMatches, the unit
+// stays a text term so pages that talk in mil outrank ones that only
+// convert to it
+const MEASURE_VALUE = /^[\d.,]+(?:\s*(?:–|-|to)\s*[\d.,]+)?/i;
+
+function removeMeasures(text, measures) {
+  let out = String(text || "");
+  for (const m of [...measures].reverse()) {
+    const unit = m.text.replace(MEASURE_VALUE, "");
+    out = out.slice(0, m.index) + ` ${unit} ` + out.slice(m.index + m.text.length);
+  }
+  return out;
+}
+
+/* -------------------------
+   Facets (derived from URL segments)
+-------------------------- */
+
+export const FACETS = ["material", "variant", "cat"];
+
+// /materials/lvt/rigid-core/specs/construction/wear-layer.html
+//   → { material: "lvt", variant: "rigid-core", cat: "construction" }
+// /materials/laminate/specs/performance/ac-rating.html → variant: null
+// /materials/carpet/carpet-tile/specs/tile-size.html    → cat: null
+export function getFacets(url) {
+  const parts = String(url || "").split("#")[0].split("/").filter(Boolean);
+  if (parts[0] !== "materials" || !parts[1]) return { material: null, variant: null, cat: null };
+
+  const rest = parts.slice(2);
+  const variant = rest[0] && rest[0] !== "specs" && !rest[0].endsWith(".html") ? rest[0] : null;
+  const specsAt = rest.indexOf("specs");
+  const afterSpecs = specsAt === -1 ? [] : rest.slice(specsAt + 1);
+  const cat = afterSpecs.length > 1 ? afterSpecs[0] : null;
+
+  return { material: parts[1], variant, cat };
+}
+
+// filters: { material?, variant?, cat? } — empty values match everything
+export function filterHits(hits, filters = {}) {
+  const active = FACETS.filter(k => filters[k]);
+  if (!active.length) return hits;
+  return hits.filter(h => {
+    const f = getFacets(h.url);
+    return active.every(k => f[k] === filters[k]);
+  });
+}
+
+// Value counts per facet. Each facet is counted with the *other* filters
+// applied, so picking a material still shows the alternatives to switch to.
+export function countFacets(hits, filters = {}) {
+  const counts = {};
+  for (const key of FACETS) {
+    counts[key] = {};
+    for (const h of filterHits(hits, { ...filters, [key]: "" })) {
+      const v = getFacets(h.url)[key];
+      if (v) counts[key][v] = (counts[key][v] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/* -------------------------
+   Did you mean?
+-------------------------- */
+
+export function getDidYouMeanSuggestions(index, query, limit = 3) {
+  const q = normalize(query);
+  if (q.length < 2) return [];
+
+  return (index?.docs || [])
+    .filter(item => !item.page)
+    .map(item => {
+      const title = item.title || "";
+      const keywordsArr = (item.keywords || []).map(k => String(k || ""));
+      const hay = `${title} ${keywordsArr.join(" ")}`.trim();
+
+      // 1) word overlap (helps for normal searches)
+      const overlap = overlapScore(q, hay); // 0..1
+
+      // 2) typo tolerance against *tokens* (helps LVF -> LVT)
+      const minDist = minTokenDistance(q, [title, ...keywordsArr]);
+      let typoBonus = 0;
+
+      if (minDist <= 1) typoBonus = 0.60;        // very likely intended
+      else if (minDist === 2) typoBonus = 0.35;  // plausible typo
+      else if (minDist === 3) typoBonus = 0.20;  // weak suggestion
+
+      return { item, score: overlap + typoBonus, minDist };
+    })
+    // allow suggestions if either overlap OR typo is decent
+    .filter(x => x.score >= 0.30)
+    .sort((a, b) => b.score - a.score || a.minDist - b.minDist)
+    .slice(0, limit)
+    .map(x => x.item);
+}
+
+export function minTokenDistance(query, fields) {
+  const q = normalize(query);
+  let best = Infinity;
+
+  for (const field of fields) {
+    const tokens = normalize(field).split(" ").filter(Boolean);
+
+    for (const t of tokens) {
+      // don't compare a tiny query against very long tokens (keeps results sane)
+      if (q.length <= 3 && t.length > 12) continue;
+      best = Math.min(best, levenshtein(q, t));
+      if (best <= 1) return best; // early exit
+    }
+  }
+  return best === Infinity ? 999 : best;
+}
+
+export function overlapScore(q, hay) {
+  const qWords = normalize(q).split(" ").filter(Boolean);
+  const hWords = normalize(hay).split(" ").filter(Boolean);
+  if (!qWords.length || !hWords.length) return 0;
+
+  let hits = 0;
+  for (const w of qWords) {
+    if (hWords.some(hw => hw.includes(w) || w.includes(hw))) hits++;
+  }
+  return hits / Math.max(qWords.length, hWords.length);
+}
+
+// Levenshtein distance (tiny implementation) for typo tolerance
+export function levenshtein(a, b) {
+  a = normalize(a);
+  b = normalize(b);
+  if (!a || !b) return Math.max(a.length, b.length);
+
+  const m = a.length, n = b.length;
+  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + cost
+      );
+    }
+  }
+  return dp[m][n];
+}
+
+/* -------------------------
+   Snippets
+-------------------------- */
+
+// Text shown under a result title: the page's own snippet, else the best keyword
+export function snippetFor(item, query) {
+  return item.snippet || bestKeywordSnippet(item, query);
+}
+
+export function bestKeywordSnippet(item, query) {
+  // Fallback until snippets are filled everywhere
+  const q = normalize(query);
+  const kws = (item.keywords || []).map(k => String(k || ""));
+  const hit = kws.find(k => normalize(k).includes(q));
+  if (hit) return hit;
+  return kws.length ? kws.slice(0, 3).join(", ") : "";
+}
+
+/* -------------------------
+   Terms (shared by the index builder and the query side)
+-------------------------- */
+
+// Words nobody searches for; they'd otherwise be the longest postings lists
+const STOPWORDS = new Set([
+  "a", "all", "also", "an", "and", "any", "are", "as", "at", "be", "been", "both",
+  "but", "by", "can", "do", "does", "each", "for", "from", "has", "have", "how",
+  "if", "in", "into", "is", "it", "its", "may", "more", "most", "not", "of", "on",
+  "only", "or", "other", "same", "should", "some", "such", "than", "that", "the",
+  "their", "them", "then", "there", "these", "they", "this", "those", "to", "was",
+  "were", "what", "when", "where", "which", "while", "why", "will", "with",
+  "would", "you", "your",
+]);
+
+// normalize → split → drop stopwords and stray letters → light plural stemming
+export function toTerms(text) {
+  return normalize(text)
+    .split(" ")
+    .filter(t => t && !STOPWORDS.has(t) && !/^[a-z]$/.test(t))
+    .map(stem);
+}
+
+// Just enough to fold plurals: "warranties" → "warranty", "planks" → "plank".
+// Leaves "gloss", "radius", "basis" and short words alone.
+export function stem(t) {
+  if (t.length <= 3 || /\d/.test(t)) return t;
+  if (t.endsWith("ies") && t.length > 4) return `${t.slice(0, -3)}y`;
+  if (/(ss|us|is)$/.test(t)) return t;
+  if (t.endsWith("s")) return t.slice(0, -1);
+  return t;
+}
+
+/* -------------------------
+   Utilities
+-------------------------- */
+
+// "manufacturer's" → "manufacturers", not "manufacturer s"
+export function normalize(str) {
+  return String(str || "")
+    .toLowerCase()
+    .replace(/(\w)['’](\w)/g, "$1$2")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
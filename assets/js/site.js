@@ -5,6 +5,7 @@ document.addEventListener("DOMContentLoaded", () => {
   injectFooter();
   updateYear();
   initSiteSearch();
+  initUnitToggle();
   initMobileNavToggle(); // ✅ works for injected OR hardcoded header
 });
 
@@ -65,8 +66,23 @@ function injectHeader() {
           <a href="/materials/laminate/" class="text-slate-600 hover:text-slate-900">Laminate</a>
           <a href="/materials/hardwood/" class="text-slate-600 hover:text-slate-900">Hardwood</a>
           <a href="/materials/carpet/" class="text-slate-600 hover:text-slate-900">Carpet</a>
+          <a href="/compare/" class="text-slate-600 hover:text-slate-900">Compare</a>
         </nav>
 
+        <div class="hidden sm:block shrink-0">
+          <label class="sr-only" for="unitToggle">Units</label>
+          <select
+            id="unitToggle"
+            data-unit-toggle
+            class="rounded-lg border border-slate-200 bg-white px-2 py-1.5 text-sm text-slate-600
+                   focus:outline-none focus:ring-2 focus:ring-slate-300"
+          >
+            <option value="">Units as written</option>
+            <option value="imperial">Imperial</option>
+            <option value="metric">Metric</option>
+          </select>
+        </div>
+
         <button
           id="navBtn"
           type="button"
@@ -104,6 +120,21 @@ function injectHeader() {
           <a class="text-slate-700 hover:text-slate-900" href="/materials/laminate/">Laminate</a>
           <a class="text-slate-700 hover:text-slate-900" href="/materials/hardwood/">Hardwood</a>
           <a class="text-slate-700 hover:text-slate-900" href="/materials/carpet/">Carpet</a>
+          <a class="text-slate-700 hover:text-slate-900" href="/compare/">Compare</a>
+
+          <div>
+            <label class="sr-only" for="unitToggleMobile">Units</label>
+            <select
+              id="unitToggleMobile"
+              data-unit-toggle
+              class="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700
+                     focus:outline-none focus:ring-2 focus:ring-slate-300"
+            >
+              <option value="">Units as written</option>
+              <option value="imperial">Imperial</option>
+              <option value="metric">Metric</option>
+            </select>
+          </div>
         </div>
       </div>
     </header>
@@ -124,6 +155,9 @@ function injectFooter() {
           <a href="/about/about.html" class="hover:text-slate-900">About</a>
           <a href="/contact/contact-us.html" class="hover:text-slate-900">Contact</a>
           <a href="/legal/privacy-policy.html" class="hover:text-slate-900">Privacy Policy</a>
+          <a href="/specs/" class="hover:text-slate-900">Specs Across Materials</a>
+          <a href="/glossary/" class="hover:text-slate-900">Glossary</a>
+          <a href="/sitemap/" class="hover:text-slate-900">Site Map</a>
         </div>
         <p class="mt-4 text-xs text-slate-500">
           © <span id="year"></span> Flooring Reference
@@ -139,26 +173,136 @@ function updateYear() {
 }
 
 /* -------------------------
-   Site Search (static index)
+   Imperial / metric toggle
 -------------------------- */
 
-let __siteIndex = null;
+// Measurements are marked up at build time (scripts/build-measure-markup.mjs)
+// as <span data-measure data-lo data-hi data-system> in canonical units.
+// The preference ("" means show them as written) is kept by units.mjs.
+let __units = null;
 
-async function loadSiteIndex() {
-  if (__siteIndex) return __siteIndex;
+async function loadUnits() {
+  if (!__units) __units = await import("/assets/js/units.mjs");
+  return __units;
+}
+
+async function initUnitToggle() {
+  const selects = [...document.querySelectorAll("[data-unit-toggle]")];
+  if (!selects.length) return;
+
+  let units;
+  try {
+    units = await loadUnits();
+  } catch (err) {
+    console.error("[units] failed to load:", err);
+    return;
+  }
+  const pref = units.getUnitPref();
+
+  selects.forEach((sel) => {
+    sel.value = pref;
+    sel.addEventListener("change", () => {
+      units.setUnitPref(sel.value);
+      selects.forEach((other) => { other.value = sel.value; });
+      applyUnits(sel.value);
+      // Lets page widgets (the carton calculator) follow the preference
+      document.dispatchEvent(new CustomEvent("floorref:units", { detail: { system: sel.value } }));
+    });
+  });
+
+  if (pref) applyUnits(pref);
+}
+
+async function applyUnits(system) {
+  const spans = document.querySelectorAll("[data-measure]");
+  if (!spans.length) return;
 
-  const cached = sessionStorage.getItem("floorref_site_index_v1");
-  if (cached) {
-    __siteIndex = JSON.parse(cached);
-    return __siteIndex;
+  let units = null;
+  if (system) {
+    try {
+      units = await loadUnits();
+    } catch (err) {
+      console.error("[units] failed to load:", err);
+      return;
+    }
   }
 
-  const res = await fetch("/search-index.json", { cache: "no-store" });
-  if (!res.ok) throw new Error(`search-index.json fetch failed: ${res.status}`);
-  __siteIndex = await res.json();
+  spans.forEach((el) => {
+    if (el.dataset.original === undefined) el.dataset.original = el.textContent;
+    const original = el.dataset.original;
+
+    const converted = units && el.dataset.system !== system
+      ? units.formatMeasure({
+          dim: el.dataset.measure,
+          lo: Number(el.dataset.lo),
+          hi: Number(el.dataset.hi),
+        }, system)
+      : "";
+
+    if (converted) {
+      el.textContent = converted;
+      el.title = `As written: ${original}`;
+      el.classList.add("underline", "decoration-dotted", "decoration-slate-400", "underline-offset-2");
+    } else {
+      el.textContent = original;
+      el.removeAttribute("title");
+      el.classList.remove("underline", "decoration-dotted", "decoration-slate-400", "underline-offset-2");
+    }
+  });
+}
+
+/* -------------------------
+   Site Search (static index)
+-------------------------- */
+
+let __siteIndex = null; // pages; pages and sections once those are in
+let __siteIndexLoad = null;
+let __siteSectionsLoad = null;
+let __siteSectionsReady = false;
+let __searchEngine = null;
+
+// Ranking, suggestions and snippets live in the shared search module
+async function loadSearchEngine() {
+  if (!__searchEngine) __searchEngine = await import("/assets/js/search.mjs");
+  return __searchEngine;
+}
+
+// Left to the HTTP cache: the files are large enough to overflow
+// sessionStorage, and the browser already keeps them between pages
+async function fetchSearchFile(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url} fetch failed: ${res.status}`);
+  return res.json();
+}
+
+async function loadSiteIndex() {
+  if (!__siteIndexLoad) {
+    __siteIndexLoad = fetchSearchFile("/search-index.json").catch((err) => {
+      __siteIndexLoad = null;
+      throw err;
+    });
+  }
+  const pages = await __siteIndexLoad;
+  return __siteIndex || (__siteIndex = pages);
+}
 
-  sessionStorage.setItem("floorref_site_index_v1", JSON.stringify(__siteIndex));
-  return __siteIndex;
+// Section results ("Wear Layer › Typical ranges") come from a second file,
+// fetched once the dropdown opens; pages rank on their own until it's in
+function loadSiteSections() {
+  if (!__siteSectionsLoad) {
+    __siteSectionsLoad = Promise.all([
+      loadSiteIndex(),
+      fetchSearchFile("/search-sections.json"),
+      loadSearchEngine(),
+    ]).then(([index, sections, engine]) => {
+      __siteIndex = engine.addSections(index, sections);
+      __siteSectionsReady = true;
+    }).catch((err) => {
+      __siteSectionsLoad = null;
+      throw err;
+    });
+  }
+  return __siteSectionsLoad;
 }
 
 function initSiteSearch() {
@@ -194,9 +338,26 @@ function initSiteSearch() {
   });
 }
 
+// WAI-ARIA combobox: focus stays in the input, the highlighted result is
+// tracked with aria-activedescendant, and a live region announces the count.
+// Done here rather than in the header markup so hardcoded headers get it too.
 function wireSearchBox(inputEl, resultsEl) {
   let lastQuery = "";
 
+  inputEl.setAttribute("role", "combobox");
+  inputEl.setAttribute("aria-autocomplete", "list");
+  inputEl.setAttribute("aria-controls", resultsEl.id);
+  inputEl.setAttribute("aria-expanded", "false");
+  ensureStatusRegion(resultsEl);
+
+  const search = async (q) => {
+    const [index, engine] = await Promise.all([loadSiteIndex(), loadSearchEngine()]);
+    if (lastQuery !== q) return; // stale render guard
+
+    const hits = engine.searchIndex(index, q, { limit: 8 });
+    renderResults(resultsEl, hits, q, false);
+  };
+
   inputEl.addEventListener("input", async () => {
     const q = (inputEl.value || "").trim();
     lastQuery = q;
@@ -207,205 +368,198 @@ function wireSearchBox(inputEl, resultsEl) {
     }
 
     try {
-      const index = await loadSiteIndex();
-      if (lastQuery !== q) return; // stale render guard
-
-      const hits = searchIndex(index, q).slice(0, 8);
-      renderResults(resultsEl, hits, q, false);
+      await search(q);
     } catch (err) {
       console.error(err);
       renderResults(resultsEl, [], q, true);
+      return;
+    }
+
+    // Rank again with section results once they arrive
+    if (!__siteSectionsReady) {
+      loadSiteSections().then(() => search(q)).catch((err) => console.error(err));
     }
   });
 
   inputEl.addEventListener("focus", () => {
-    if ((inputEl.value || "").trim().length >= 2) {
-      resultsEl.classList.remove("hidden");
+    loadSiteSections().catch((err) => console.error(err));
+    if ((inputEl.value || "").trim().length >= 2 && resultsEl.innerHTML.trim()) {
+      showResults(resultsEl);
     }
   });
 
-  // Enter -> go to results page
   inputEl.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      const q = (inputEl.value || "").trim();
-      if (q.length >= 2) {
-        window.location.href = `/search/?q=${encodeURIComponent(q)}`;
+    const options = getOptions(resultsEl);
+    const open = !resultsEl.classList.contains("hidden");
+    const active = options.findIndex((o) => o.id === inputEl.getAttribute("aria-activedescendant"));
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        if (!options.length) return;
+        e.preventDefault();
+        if (!open) showResults(resultsEl);
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        const next = active === -1
+          ? (step === 1 ? 0 : options.length - 1)
+          : (active + step + options.length) % options.length;
+        setActiveOption(resultsEl, next);
+        return;
+      }
+
+      // Home/End jump within the list once the user is in it; otherwise they
+      // keep moving the text cursor
+      case "Home":
+      case "End":
+        if (!open || active === -1) return;
+        e.preventDefault();
+        setActiveOption(resultsEl, e.key === "Home" ? 0 : options.length - 1);
+        return;
+
+      // Enter opens the highlighted result, or the full results page
+      case "Enter": {
+        if (open && active !== -1) {
+          e.preventDefault();
+          window.location.href = options[active].href;
+          return;
+        }
+        const q = (inputEl.value || "").trim();
+        if (q.length >= 2) {
+          window.location.href = `/search/?q=${encodeURIComponent(q)}`;
+        }
+        return;
       }
     }
   });
+
+  // Pointer and keyboard share one highlight
+  resultsEl.addEventListener("mousemove", (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (!option) return;
+    const i = getOptions(resultsEl).indexOf(option);
+    if (i !== -1 && option.id !== inputEl.getAttribute("aria-activedescendant")) setActiveOption(resultsEl, i);
+  });
 }
 
-function searchIndex(index, query) {
-  const q = query.toLowerCase();
-
-  return index
-    .map((item) => {
-      const title = (item.title || "").toLowerCase();
-      const url = (item.url || "").toLowerCase();
-      const keywords = (item.keywords || []).map(k => String(k || "").toLowerCase());
-
-      let score = 0;
-      if (title.includes(q)) score += 4;
-      if (keywords.some(k => k.includes(q))) score += 3;
-      if (url.includes(q)) score += 1;
-
-      // extra: partial token matches
-      const qTokens = normalize(query).split(/\s+/).filter(Boolean);
-      if (qTokens.length) {
-        const hay = [item.title || "", ...(item.keywords || [])].join(" ").toLowerCase();
-        const tokenHits = qTokens.filter(t => hay.includes(t)).length;
-        score += Math.min(2, tokenHits); // small bump
-      }
+/* -------------------------
+   Combobox helpers
+-------------------------- */
+
+function getCombobox(resultsEl) {
+  return document.querySelector(`[aria-controls="${resultsEl.id}"]`);
+}
+
+function getOptions(resultsEl) {
+  return Array.from(resultsEl.querySelectorAll('[role="option"]'));
+}
 
-      return { ...item, __score: score };
-    })
-    .filter(x => x.__score > 0)
-    .sort((a, b) => b.__score - a.__score || (a.title || "").localeCompare(b.title || ""));
+function setActiveOption(resultsEl, index) {
+  const input = getCombobox(resultsEl);
+  getOptions(resultsEl).forEach((o, i) => {
+    o.setAttribute("aria-selected", String(i === index));
+    if (i === index) o.scrollIntoView({ block: "nearest" });
+  });
+
+  const active = getOptions(resultsEl)[index];
+  if (!input) return;
+  if (active) input.setAttribute("aria-activedescendant", active.id);
+  else input.removeAttribute("aria-activedescendant");
+}
+
+// Visually hidden live region next to each dropdown: "8 results available."
+function ensureStatusRegion(resultsEl) {
+  const id = `${resultsEl.id}Status`;
+  let el = document.getElementById(id);
+  if (!el) {
+    el = document.createElement("div");
+    el.id = id;
+    el.className = "sr-only";
+    el.setAttribute("role", "status");
+    el.setAttribute("aria-live", "polite");
+    resultsEl.insertAdjacentElement("afterend", el);
+  }
+  return el;
+}
+
+function announce(resultsEl, message) {
+  ensureStatusRegion(resultsEl).textContent = message;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
 }
 
 function renderResults(resultsEl, hits, query, hadError = false) {
   if (hadError) {
     resultsEl.innerHTML = `
-      <div class="px-4 py-3 text-sm text-slate-600">
+      <div class="px-4 py-3 text-sm text-slate-600" role="presentation">
         Search is temporarily unavailable.
       </div>
     `;
-    resultsEl.classList.remove("hidden");
+    showResults(resultsEl);
+    announce(resultsEl, "Search is temporarily unavailable.");
     return;
   }
 
   // No hits: show Did you mean?
   if (!hits.length) {
     const index = __siteIndex || [];
-    const suggestions = getDidYouMeanSuggestions(index, query, 3);
+    const suggestions = __searchEngine ? __searchEngine.getDidYouMeanSuggestions(index, query, 3) : [];
 
     if (suggestions.length) {
       resultsEl.innerHTML = `
-        <div class="px-4 py-2 text-xs text-slate-500 border-b border-slate-100">
+        <div class="px-4 py-2 text-xs text-slate-500 border-b border-slate-100" role="presentation">
           Did you mean:
         </div>
-        ${suggestions.map(s => `
-          <a href="${s.url}" class="block px-4 py-3 hover:bg-slate-50">
-            <div class="text-sm font-semibold text-slate-900">${escapeHtml(s.title)}</div>
-            <div class="mt-1 text-xs text-slate-600">
-              ${escapeHtml(s.snippet || bestKeywordSnippet(s, query))}
-            </div>
-          </a>
-        `).join("")}
+        ${suggestions.map((s, i) => renderOption(resultsEl, s, i, query)).join("")}
       `;
-      resultsEl.classList.remove("hidden");
+      showResults(resultsEl);
+      announce(resultsEl, `No results. ${plural(suggestions.length, "suggestion")} available.`);
       return;
     }
 
     resultsEl.innerHTML = `
-      <div class="px-4 py-3 text-sm text-slate-600">
+      <div class="px-4 py-3 text-sm text-slate-600" role="presentation">
         No results for <span class="font-semibold">${escapeHtml(query)}</span>.
       </div>
     `;
-    resultsEl.classList.remove("hidden");
+    showResults(resultsEl);
+    announce(resultsEl, "No results.");
     return;
   }
 
   // Normal hits: show title + snippet (NOT URL)
-  resultsEl.innerHTML = hits
-    .map((h) => `
-      <a href="${h.url}" class="block px-4 py-3 hover:bg-slate-50">
-        <div class="text-sm font-semibold text-slate-900">${escapeHtml(h.title)}</div>
-        <div class="mt-1 text-xs text-slate-600">
-          ${escapeHtml(h.snippet || bestKeywordSnippet(h, query))}
-        </div>
-      </a>
-    `)
-    .join("");
+  resultsEl.innerHTML = hits.map((h, i) => renderOption(resultsEl, h, i, query)).join("");
+  showResults(resultsEl);
+  announce(resultsEl, `${plural(hits.length, "result")} available. Use up and down arrows to choose one.`);
+}
 
+function renderOption(resultsEl, item, i, query) {
+  return `
+    <a id="${resultsEl.id}-option-${i}" href="${item.url}" role="option" aria-selected="false" tabindex="-1"
+       class="block px-4 py-3 hover:bg-slate-50 aria-selected:bg-slate-100">
+      <div class="text-sm font-semibold text-slate-900">${escapeHtml(item.title)}</div>
+      <div class="mt-1 text-xs text-slate-600">
+        ${escapeHtml(__searchEngine.snippetFor(item, query))}
+      </div>
+    </a>
+  `;
+}
+
+// Every render starts with no active option
+function showResults(resultsEl) {
   resultsEl.classList.remove("hidden");
+  setActiveOption(resultsEl, -1);
+  const input = getCombobox(resultsEl);
+  if (input) input.setAttribute("aria-expanded", "true");
 }
 
 function hideResults(resultsEl) {
   if (!resultsEl) return;
   resultsEl.classList.add("hidden");
-}
-
-/* -------------------------
-   Did you mean? helpers
--------------------------- */
-
-function normalize(str) {
-  return String(str || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-// Levenshtein distance (tiny implementation) for typo tolerance
-function levenshtein(a, b) {
-  a = normalize(a);
-  b = normalize(b);
-  if (!a || !b) return Math.max(a.length, b.length);
-
-  const m = a.length, n = b.length;
-  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
-  for (let i = 0; i <= m; i++) dp[i][0] = i;
-  for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      // ✅ FIXED: compare against b[j - 1], not b[i - 1]
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      dp[i][j] = Math.min(
-        dp[i - 1][j] + 1,
-        dp[i][j - 1] + 1,
-        dp[i - 1][j - 1] + cost
-      );
-    }
-  }
-  return dp[m][n];
-}
-
-function getDidYouMeanSuggestions(index, query, limit = 3) {
-  const q = normalize(query);
-  if (q.length < 2) return [];
-
-  return (index || [])
-    .map(item => {
-      const title = item.title || "";
-      const keywords = (item.keywords || []).join(" ");
-      const hay = `${title} ${keywords}`.trim();
-
-      // Combine: word overlap + small typo tolerance
-      const overlap = overlapScore(q, hay); // 0..1
-      const dist = levenshtein(q, title);
-      const typoBonus = dist <= 2 ? 0.25 : (dist <= 3 ? 0.15 : 0);
-
-      const score = overlap + typoBonus;
-      return { item, score };
-    })
-    .filter(x => x.score >= 0.35)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit)
-    .map(x => x.item);
-}
-
-function overlapScore(q, hay) {
-  const qWords = normalize(q).split(" ").filter(Boolean);
-  const hWords = normalize(hay).split(" ").filter(Boolean);
-  if (!qWords.length || !hWords.length) return 0;
-
-  let hits = 0;
-  for (const w of qWords) {
-    if (hWords.some(hw => hw.includes(w) || w.includes(hw))) hits++;
-  }
-  return hits / Math.max(qWords.length, hWords.length);
-}
-
-function bestKeywordSnippet(item, query) {
-  // Fallback until snippets are filled everywhere
-  const q = normalize(query);
-  const kws = (item.keywords || []).map(k => String(k || ""));
-  const hit = kws.find(k => normalize(k).includes(q));
-  if (hit) return hit;
-  return kws.length ? kws.slice(0, 3).join(", ") : "";
+  setActiveOption(resultsEl, -1);
+  const input = getCombobox(resultsEl);
+  if (input) input.setAttribute("aria-expanded", "false");
 }
 
 /* -------------------------
@@ -0,0 +1,172 @@
+// /assets/js/units.mjs
+// Measurement parsing and imperial/metric display, shared by search
+// (search.mjs), the unit toggle in site.js, the calculators and the build step
+// that marks measurements up (scripts/build-measure-markup.mjs). No DOM
+// access; only the unit preference touches localStorage.
+
+/* -------------------------
+   Parsing
+-------------------------- */
+
+// Unit spellings → dimension, factor to that dimension's canonical unit and
+// the system the spelling belongs to. Canonical units: length → mm,
+// areal weight → g/m², area → m², mass → kg, pressure → psi.
+// Longer spellings come first so "oz/sq yd" wins over "oz" and "g/m²" over "m²".
+const UNITS = [
+  ["oz\\s*(?:/|per)\\s*(?:sq\\.?\\s*yds?|square\\s+yards?|yd²|yd2)", "areal", 33.906, "imperial"],
+  ["g\\s*/\\s*m[²2]|gsm", "areal", 1, "metric"],
+  ["oz", "areal", 33.906, "imperial"], // bare "oz" is carpet face weight
+  ["sq\\.?\\s*ft|ft²|ft2", "area", 0.092903, "imperial"],
+  ["sq\\.?\\s*m|m²|m2", "area", 1, "metric"],
+  ["mils?", "length", 0.0254, "imperial"],
+  ["mm", "length", 1, "metric"],
+  ["cm", "length", 10, "metric"],
+  ["met(?:er|re)s?|m(?![²³2-3])", "length", 1000, "metric"], // not "m³"
+  ["inch(?:es)?|in\\.?(?!\\s*[a-z])", "length", 25.4, "imperial"], // not "IIC 68 in a lab"
+  ["ft|feet", "length", 304.8, "imperial"],
+  ["lbs?|pounds?", "mass", 0.45359, "imperial"],
+  ["kg", "mass", 1, "metric"],
+  ["psi", "pressure", 1, "imperial"],
+  ["kpa", "pressure", 0.145038, "metric"],
+  ["tpi", "twist", 1, null],
+].map(([pattern, dim, factor, system]) => ({
+  re: new RegExp(`^(?:${pattern})$`, "i"), pattern, dim, factor, system,
+}));
+
+// 12, 0.3, 1,000 (thousands separators allowed)
+const NUMBER = "\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?";
+
+const MEASURE_RE = new RegExp(
+  `(?<![\\w.,/])(${NUMBER})(?:\\s*(?:–|-|to)\\s*(${NUMBER}))?\\s*` +
+  `(${UNITS.map(u => u.pattern).join("|")})(?![a-z])`,
+  "gi"
+);
+
+// "12–20 mil" → [{ dim: "length", lo: 0.3048, hi: 0.508, system: "imperial",
+//                 text: "12–20 mil", index }]
+export function parseMeasures(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(MEASURE_RE)) {
+    const unit = UNITS.find(u => u.re.test(m[3]));
+    if (!unit) continue;
+    const a = toNumber(m[1]) * unit.factor;
+    const b = m[2] === undefined ? a : toNumber(m[2]) * unit.factor;
+    if (!(a > 0) || !(b > 0)) continue;
+    out.push({
+      dim: unit.dim,
+      lo: round4(Math.min(a, b)),
+      hi: round4(Math.max(a, b)),
+      system: unit.system,
+      text: m[0],
+      index: m.index,
+    });
+  }
+  return out;
+}
+
+// "50 lbs/sq ft", "3 lbs/1000 sq ft/24 hrs", "3 lb/in", "750 kg/m³": a value
+// followed by "/<unit>" is the top half of a rate, which no single unit
+// converts. "6–28 mil / 0.15–0.7 mm" is the same value twice, not a rate.
+const RATE_SLASH = /^\s*\/\s*/;
+const RATE_UNIT = /^(?:[\d.,]+\s*)?[a-z]/i;
+
+export function isRate(text, measure) {
+  const rest = String(text || "").slice(measure.index + measure.text.length);
+  const slash = rest.match(RATE_SLASH);
+  if (!slash) return false;
+  const after = rest.slice(slash[0].length);
+  const next = parseMeasures(after)[0];
+  if (next?.index === 0 && next.dim === measure.dim && next.system !== measure.system) return false;
+  return RATE_UNIT.test(after);
+}
+
+/* -------------------------
+   Display
+-------------------------- */
+
+// Canonical value → [unit label, value in that unit] for each system
+const DISPLAY = {
+  length: {
+    metric: mm => (mm >= 1000 ? ["m", mm / 1000] : ["mm", mm]),
+    imperial: mm => (mm < 1.5 ? ["mil", mm / 0.0254] : mm < 304.8 ? ["in", mm / 25.4] : ["ft", mm / 304.8]),
+  },
+  areal: {
+    metric: g => ["g/m²", g],
+    imperial: g => ["oz/yd²", g / 33.906],
+  },
+  area: {
+    metric: m2 => ["m²", m2],
+    imperial: m2 => ["sq ft", m2 / 0.092903],
+  },
+  mass: {
+    metric: kg => ["kg", kg],
+    imperial: kg => ["lb", kg / 0.45359],
+  },
+  pressure: {
+    metric: psi => ["kPa", psi / 0.145038],
+    imperial: psi => ["psi", psi],
+  },
+};
+
+// { dim, lo, hi } in canonical units → "0.3–0.51 mm". Returns "" when the
+// dimension has no conversion (tpi). The unit is picked from the upper value
+// so both ends of a range share it.
+export function formatMeasure({ dim, lo, hi }, system) {
+  const pick = DISPLAY[dim]?.[system];
+  if (!pick) return "";
+  const [unit, hiValue] = pick(hi);
+  const loValue = hiValue * (lo / hi);
+  const value = lo === hi ? formatNumber(hiValue) : `${formatNumber(loValue)}–${formatNumber(hiValue)}`;
+  return `${value} ${unit}`;
+}
+
+// Two significant figures below 10, whole numbers from 100 up
+export function formatNumber(x) {
+  const rounded = x >= 100 ? Math.round(x) : x >= 10 ? Math.round(x * 10) / 10 : Number(x.toPrecision(2));
+  return rounded.toLocaleString("en-US", { maximumFractionDigits: 3 });
+}
+
+/* -------------------------
+   Comparing
+-------------------------- */
+
+// Spec sheets round conversions (12 mil is 0.3048 mm, listed as "0.3 mm";
+// 1/4 in is 6.35 mm, listed as "6 mm"), so values within this fraction of
+// each other are the same measurement. Search and /compare/ both use it.
+export const MEASURE_TOLERANCE = 0.06;
+
+/* -------------------------
+   Unit preference
+-------------------------- */
+
+// Set by the header toggle and followed by the calculators and /compare/:
+// "imperial", "metric", or "" to show values as written
+const UNIT_PREF_KEY = "floorref_units";
+
+export function getUnitPref() {
+  try {
+    const v = localStorage.getItem(UNIT_PREF_KEY);
+    return v === "imperial" || v === "metric" ? v : "";
+  } catch {
+    return "";
+  }
+}
+
+export function setUnitPref(system) {
+  try {
+    if (system) localStorage.setItem(UNIT_PREF_KEY, system);
+    else localStorage.removeItem(UNIT_PREF_KEY);
+  } catch { /* storage disabled */ }
+}
+
+/* -------------------------
+   Utilities
+-------------------------- */
+
+function toNumber(s) {
+  return Number(s.replaceAll(",", ""));
+}
+
+function round4(x) {
+  return Number(x.toPrecision(4));
+}
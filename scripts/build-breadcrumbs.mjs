@@ -0,0 +1,191 @@
+// scripts/build-breadcrumbs.mjs
+// Injects a visible breadcrumb trail and matching BreadcrumbList JSON-LD into
+// every page under materials/, derived from the page's URL path.
+// Labels come from each ancestor's index page <h1>.
+// Run: node scripts/build-breadcrumbs.mjs
+
+import fs from "fs";
+import path from "path";
+import { escapeHtml, isRedirectStub } from "./lib/html.mjs";
+import { getH1Label, titleCase, toSpecLabel } from "./lib/labels.mjs";
+import { ROOT, SITE_ORIGIN, walk, fileToUrl } from "./lib/pages.mjs";
+
+const MATERIALS_DIR = path.join(ROOT, "materials");
+
+// materials/ has no index page of its own: trails start at the homepage and
+// its list of material hubs
+const ROOT_CRUMBS = [
+  { label: "Home", url: "/" },
+  { label: "Materials", url: "/#materials" },
+];
+
+const NAV_START = "<!-- breadcrumbs:start (generated by scripts/build-breadcrumbs.mjs) -->";
+const NAV_END = "<!-- breadcrumbs:end -->";
+
+// ── Labels ────────────────────────────────────────────────────────────────────
+
+// Drop the parent's name from a child label so the trail doesn't stutter:
+// "Engineered Hardwood" under "Hardwood" → "Engineered";
+// "Rigid Core LVT Specs" under "Rigid Core LVT" → "Specs" (the folder's own name).
+// A prefix is only dropped when what's left is the folder name, so
+// "Carpet Tile" under "Carpet" stays as is.
+function relativeLabel(label, parentLabel, folder) {
+  if (!parentLabel) return label;
+  const lower = label.toLowerCase();
+  const parent = parentLabel.toLowerCase();
+  if (lower.endsWith(` ${parent}`)) return label.slice(0, -parent.length - 1);
+  if (lower.startsWith(`${parent} `)) {
+    const rest = label.slice(parent.length + 1);
+    if (rest.toLowerCase() === titleCase(folder).toLowerCase()) return rest;
+  }
+  return label;
+}
+
+const h1Cache = new Map();
+function readIndexLabel(dirPath) {
+  if (!h1Cache.has(dirPath)) {
+    const p = path.join(dirPath, "index.html");
+    h1Cache.set(dirPath, fs.existsSync(p) ? getH1Label(fs.readFileSync(p, "utf8")) : "");
+  }
+  return h1Cache.get(dirPath);
+}
+
+// ── Trail ─────────────────────────────────────────────────────────────────────
+
+// /materials/hardwood/engineered-hardwood/specs/finish/sheen.html →
+//   Home › Materials › Hardwood › Engineered › Specs › Finish › Sheen
+// Folders without an index page (spec categories) link to their card on the
+// nearest specs index instead.
+function buildTrail(filePath, html) {
+  const rel = path.relative(MATERIALS_DIR, filePath).split(path.sep);
+  const isIndex = rel[rel.length - 1] === "index.html";
+  const dirs = rel.slice(0, -1);
+
+  const trail = [...ROOT_CRUMBS];
+  let parentFull = "";
+  let specsUrl = "";
+
+  for (let i = 0; i < dirs.length; i++) {
+    const folder = dirs[i];
+    const dirPath = path.join(MATERIALS_DIR, ...dirs.slice(0, i + 1));
+    const full = readIndexLabel(dirPath);
+    const url = fileToUrl(path.join(dirPath, "index.html"));
+
+    if (full) {
+      trail.push({ label: relativeLabel(full, parentFull, folder), url });
+      parentFull = full;
+    } else {
+      const anchor = specsUrl ? `${specsUrl}#${folder}` : null;
+      trail.push({ label: titleCase(folder), url: anchor });
+    }
+    if (folder === "specs") specsUrl = url;
+  }
+
+  if (!isIndex) {
+    const variant = dirs[1] && dirs[1] !== "specs" ? dirs[1] : null;
+    const label = toSpecLabel(getH1Label(html), { material: dirs[0], variant })
+      || titleCase(path.basename(filePath, ".html"));
+    trail.push({ label, url: fileToUrl(filePath) });
+  }
+
+  // Last crumb is the current page
+  trail[trail.length - 1] = { ...trail[trail.length - 1], current: true };
+  return trail;
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+// The "›" between crumbs is drawn in CSS (src/tailwind.css), so it isn't
+// read out as a list item
+function renderNav(trail) {
+  const items = trail.map((c) => {
+    if (c.current) return `        <li aria-current="page" class="font-medium text-slate-900">${escapeHtml(c.label)}</li>`;
+    if (!c.url) return `        <li>${escapeHtml(c.label)}</li>`;
+    return `        <li><a href="${escapeHtml(c.url)}" class="hover:text-slate-900 hover:underline">${escapeHtml(c.label)}</a></li>`;
+  });
+
+  return [
+    NAV_START,
+    `    <nav aria-label="Breadcrumb" class="mb-6 text-sm text-slate-600">`,
+    `      <ol class="flex flex-wrap items-center gap-x-2 gap-y-1">`,
+    items.join("\n"),
+    `      </ol>`,
+    `    </nav>`,
+    `    ${NAV_END}`,
+  ].join("\n");
+}
+
+// Crumbs without a URL can't be ListItems (Google requires "item" on all but the last)
+function renderSchema(trail) {
+  const obj = {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: trail
+      .filter((c) => c.url)
+      .map((c, i) => ({
+        "@type": "ListItem",
+        position: i + 1,
+        name: c.label,
+        item: `${SITE_ORIGIN}${c.url}`,
+      })),
+  };
+  const json = JSON.stringify(obj, null, 2).replace(/<\//g, "<\\/");
+  return `<script type="application/ld+json">\n  ${json.replace(/\n/g, "\n  ")}\n  </script>`;
+}
+
+function injectNav(html, nav) {
+  const start = html.indexOf(NAV_START);
+  const end = html.indexOf(NAV_END);
+  if (start !== -1 && end > start) {
+    return html.slice(0, start) + nav + html.slice(end + NAV_END.length);
+  }
+
+  const main = html.match(/<main\b[^>]*>/i);
+  if (!main) return html;
+  const at = main.index + main[0].length;
+  return html.slice(0, at) + "\n    " + nav + html.slice(at);
+}
+
+function injectSchema(html, script) {
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    try {
+      if (JSON.parse(m[1])["@type"] !== "BreadcrumbList") continue;
+    } catch {
+      continue;
+    }
+    return html.slice(0, m.index) + script + html.slice(m.index + m[0].length);
+  }
+
+  const headClose = html.search(/<\/head\s*>/i);
+  if (headClose === -1) return html;
+  return html.slice(0, headClose) + `  <!-- Breadcrumb Schema -->\n  ${script}\n\n` + html.slice(headClose);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  let changed = 0;
+  let scanned = 0;
+
+  for (const filePath of walk(MATERIALS_DIR)) {
+    if (!filePath.toLowerCase().endsWith(".html")) continue;
+
+    const before = fs.readFileSync(filePath, "utf8");
+    if (isRedirectStub(before)) continue;
+    scanned++;
+
+    const trail = buildTrail(filePath, before);
+    const after = injectSchema(injectNav(before, renderNav(trail)), renderSchema(trail));
+
+    if (after !== before) {
+      fs.writeFileSync(filePath, after, "utf8");
+      changed++;
+    }
+  }
+
+  console.log(`✅ Breadcrumbs injected into ${changed} of ${scanned} file(s)`);
+}
+
+main();
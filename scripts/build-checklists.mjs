@@ -0,0 +1,217 @@
+// scripts/build-checklists.mjs
+// Generates a printable spec sheet checklist packet per material / variant at
+// materials/<material>/<variant>/checklist/index.html, gathering every spec
+// page's "Spec Sheet Checklist" (from /data/specs.json) grouped by category,
+// with the source URLs listed once in a printed footer.
+// New pages get the full template; existing ones only have the block between
+// the checklist markers replaced. Checkbox state is kept in localStorage by
+// /assets/js/checklist.mjs.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-checklists.mjs
+
+import fs from "fs";
+import path from "path";
+import { groupByCategory, loadCatalog } from "./lib/catalog.mjs";
+import { escapeHtml, getH1Text, replaceBlock, unwrapMeasures } from "./lib/html.mjs";
+import { titleCase } from "./lib/labels.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { ROOT, SITE_ORIGIN, SITE_NAME, urlToFile } from "./lib/pages.mjs";
+
+const START_MARKER = "<!-- checklist:start (generated by scripts/build-checklists.mjs) -->";
+const END_MARKER = "<!-- checklist:end -->";
+
+// A packet with one or two pages isn't worth a page of its own
+const MIN_PAGES = 3;
+
+// Short, stable id for a checklist item, so saved checks survive reordering
+function hashText(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h * 33) ^ s.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+// "Rigid Core LVT Specs" → "Rigid Core LVT", from the specs index <h1>
+function getPacketName(specsUrl) {
+  const file = urlToFile(specsUrl);
+  const h1 = fs.existsSync(file) ? getH1Text(fs.readFileSync(file, "utf8")) : "";
+  return h1.replace(/\s+Specs$/i, "") || titleCase(specsUrl.split("/").filter(Boolean).slice(-2, -1)[0]);
+}
+
+// One packet per specs/ folder: /materials/lvt/rigid-core/specs/… →
+// /materials/lvt/rigid-core/checklist/
+function buildPackets(catalog) {
+  const packets = new Map();
+  for (const e of catalog) {
+    if (!e.checklist?.length) continue;
+    const specsUrl = e.url.replace(/specs\/.*$/, "specs/");
+    if (!packets.has(specsUrl)) {
+      packets.set(specsUrl, {
+        specsUrl,
+        url: specsUrl.replace(/specs\/$/, "checklist/"),
+        entries: [],
+      });
+    }
+    packets.get(specsUrl).entries.push(e);
+  }
+  return [...packets.values()];
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function renderSpec(e) {
+  const items = e.checklist.map((text) => [
+    `              <li>`,
+    `                <label class="flex items-start gap-3">`,
+    `                  <input type="checkbox" data-check-id="${escapeHtml(`${e.url}#${hashText(text)}`)}" class="mt-1 size-4 shrink-0 accent-slate-900" />`,
+    `                  <span>${escapeHtml(text)}</span>`,
+    `                </label>`,
+    `              </li>`,
+  ].join("\n"));
+
+  return [
+    `          <div class="break-inside-avoid rounded-xl border border-slate-200 bg-white p-5 shadow-sm print:mb-4 print:rounded-none print:border-0 print:border-t print:p-0 print:pt-2 print:shadow-none">`,
+    `            <h3 class="font-semibold"><a href="${escapeHtml(e.url)}" class="hover:underline">${escapeHtml(e.label)}</a></h3>`,
+    `            <ul class="mt-3 space-y-2 text-slate-700 print:mt-1 print:space-y-1 print:text-sm">`,
+    items.join("\n"),
+    `            </ul>`,
+    `          </div>`,
+  ].join("\n");
+}
+
+// Printed only: the page each checklist came from, in packet order
+function renderSources(groups) {
+  const items = groups.flatMap(({ items }) => items).map((e) =>
+    `          <li>${escapeHtml(e.label)} — ${escapeHtml(SITE_ORIGIN + e.url)}</li>`
+  );
+
+  return [
+    `      <footer class="mt-8 hidden border-t border-slate-300 pt-2 text-xs text-slate-600 print:block">`,
+    `        <h2 class="font-semibold">Sources</h2>`,
+    `        <ol class="mt-1 list-decimal pl-5 print:columns-2 print:gap-8">`,
+    items.join("\n"),
+    `        </ol>`,
+    `      </footer>`,
+  ].join("\n");
+}
+
+function renderBlock(packet, groups) {
+  const chips = groups.map(({ category, heading }) =>
+    `        <a href="#${escapeHtml(category || "specs")}" class="rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50">${escapeHtml(heading)}</a>`
+  );
+
+  const sections = groups.map(({ category, heading, items }) => [
+    `      <section id="${escapeHtml(category || "specs")}" class="mt-10 print:mt-6">`,
+    `        <h2 class="text-2xl font-bold print:text-lg">${escapeHtml(heading)}</h2>`,
+    `        <div class="mt-4 grid gap-4 md:grid-cols-2 print:block print:columns-2 print:gap-8">`,
+    items.map(renderSpec).join("\n\n"),
+    `        </div>`,
+    `      </section>`,
+  ].join("\n"));
+
+  return [
+    START_MARKER,
+    `    <div data-checklist="${escapeHtml(packet.url)}">`,
+    `      <div class="mt-6 max-w-3xl flex flex-wrap gap-2 text-sm print:hidden">`,
+    chips.join("\n"),
+    `      </div>`,
+    "",
+    sections.join("\n\n"),
+    "",
+    renderSources(groups),
+    `    </div>`,
+    `    ${END_MARKER}`,
+  ].join("\n");
+}
+
+function renderPage(packet, name, block) {
+  const title = `${name} Spec Sheet Checklist | ${SITE_NAME}`;
+  const description = `Every spec sheet checklist for ${name.toLowerCase()} on one printable page, grouped by category, with checkboxes that save in your browser — reference-only.`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+
+  <link rel="stylesheet" href="/tailwind.css">
+  <link rel="icon" href="/favicon.ico" type="image/x-icon">
+</head>
+
+<body class="bg-slate-50 text-slate-900 print:bg-white">
+  <div id="site-header"></div>
+
+  <main class="mx-auto max-w-5xl px-4 py-10 print:max-w-none print:p-0">
+    <section class="space-y-4">
+      <h1 class="text-3xl sm:text-4xl font-bold tracking-tight print:text-2xl">${escapeHtml(name)} Checklist
+        <span class="block text-slate-600 font-semibold text-xl sm:text-2xl mt-2 print:text-base">Spec Sheet Review Packet · Grouped by Category · Printable</span>
+      </h1>
+
+      <p class="text-slate-700 text-lg max-w-3xl print:hidden">
+        Every "Spec Sheet Checklist" from the <a href="${escapeHtml(packet.specsUrl)}" class="text-blue-700 hover:underline">${escapeHtml(name)} spec pages</a>, on one page, for reviewing a submittal or product data sheet. Checks are saved in this browser, so you can come back to a review. Each heading links to the page that explains the spec.
+        <span class="text-slate-500"> Reference-only: no product recommendations.</span>
+      </p>
+
+      <div class="flex flex-wrap items-center gap-3 text-sm print:hidden">
+        <button type="button" data-checklist-print class="rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50">Print packet</button>
+        <button type="button" data-checklist-clear class="rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50">Clear checks</button>
+        <span data-checklist-progress role="status" class="text-slate-600"></span>
+      </div>
+    </section>
+
+    ${block}
+  </main>
+
+  <div id="site-footer"></div>
+  <script src="/assets/js/site.js" defer></script>
+  <script type="module" src="/assets/js/checklist.mjs"></script>
+</body>
+</html>
+`;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const redirected = getRedirectSources();
+  const catalog = loadCatalog().filter((e) => !redirected.has(e.url));
+
+  let written = 0;
+  let packets = 0;
+
+  for (const packet of buildPackets(catalog)) {
+    const file = urlToFile(packet.url);
+    const rel = path.relative(ROOT, file);
+
+    if (packet.entries.length < MIN_PAGES) {
+      if (fs.existsSync(file)) console.warn(`⚠️  ${rel}: only ${packet.entries.length} page(s) with a checklist, left as is`);
+      continue;
+    }
+    packets++;
+
+    const block = renderBlock(packet, groupByCategory(packet.entries));
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, renderPage(packet, getPacketName(packet.specsUrl), block), "utf8");
+      written++;
+      continue;
+    }
+
+    const before = fs.readFileSync(file, "utf8");
+    const after = replaceBlock(before, block, START_MARKER, END_MARKER);
+    if (after === null) {
+      console.warn(`⚠️  ${rel}: no checklist markers, skipped`);
+      continue;
+    }
+    if (unwrapMeasures(after) !== unwrapMeasures(before)) {
+      fs.writeFileSync(file, after, "utf8");
+      written++;
+    }
+  }
+
+  console.log(`✅ Checklist packets: ${written} of ${packets} file(s) written`);
+}
+
+main();
@@ -0,0 +1,81 @@
+// scripts/build-compare-data.mjs
+// Builds /data/compare.json for the /compare/ tool: one group per material /
+// variant, listing its spec pages (from /data/specs.json) as comparison rows.
+// Adding a spec page under specs/<category>/ adds a row on the next build.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-compare-data.mjs
+
+import fs from "fs";
+import path from "path";
+import { categoryRank, getCategoryLabel, loadCatalog } from "./lib/catalog.mjs";
+import { getNameLabel } from "./lib/labels.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { ROOT } from "./lib/pages.mjs";
+
+const OUT_FILE = path.join(ROOT, "data", "compare.json");
+
+// "LVT — Glue-Down", but "Carpet Tile" rather than "Carpet — Carpet Tile"
+function groupLabel(material, variant) {
+  if (!variant) return getNameLabel(material);
+  if (variant.split("-").includes(material)) return getNameLabel(variant);
+  return `${getNameLabel(material)} — ${getNameLabel(variant)}`;
+}
+
+function toRow(e) {
+  return {
+    category: e.category || "",
+    categoryLabel: getCategoryLabel(e.category),
+    label: e.label,
+    url: e.url,
+  };
+}
+
+function sortRows(rows) {
+  return rows.sort((a, b) =>
+    categoryRank(a.category) - categoryRank(b.category) ||
+    a.category.localeCompare(b.category) ||
+    a.label.localeCompare(b.label)
+  );
+}
+
+// Material-level specs (materials/carpet/specs/) also apply to each of the
+// material's variants, after the variant's own pages; a variant page
+// with the same slug wins.
+function buildGroups(catalog) {
+  const byKey = new Map();
+  for (const e of catalog) {
+    const key = e.variant ? `${e.material}/${e.variant}` : e.material;
+    if (!byKey.has(key)) byKey.set(key, { material: e.material, variant: e.variant || null, entries: [] });
+    byKey.get(key).entries.push(e);
+  }
+
+  const groups = [];
+  for (const [key, g] of byKey) {
+    const own = sortRows(g.entries.map(toRow));
+    const shared = g.variant ? (byKey.get(g.material)?.entries || []) : [];
+    const slugs = new Set(g.entries.map((e) => e.slug));
+    const inherited = sortRows(shared.filter((e) => !slugs.has(e.slug)).map(toRow));
+
+    const specsUrl = g.entries[0].url.replace(/specs\/.*$/, "specs/");
+    groups.push({
+      key,
+      label: groupLabel(g.material, g.variant),
+      specsUrl,
+      rows: [...own, ...inherited],
+    });
+  }
+
+  return groups.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function main() {
+  const redirected = getRedirectSources();
+  const catalog = loadCatalog().filter((e) => !redirected.has(e.url));
+  const groups = buildGroups(catalog);
+
+  fs.writeFileSync(OUT_FILE, JSON.stringify({ groups }, null, 2) + "\n", "utf8");
+
+  const rows = groups.reduce((n, g) => n + g.rows.length, 0);
+  console.log(`✅ Wrote ${groups.length} comparison group(s), ${rows} row(s) to ${path.relative(ROOT, OUT_FILE)}`);
+}
+
+main();
@@ -0,0 +1,32 @@
+// scripts/build-dist.mjs
+// Copies the publishable site into dist/ (emptied first), which is what
+// Netlify publishes. Source pages stay free of build-time boilerplate: the
+// inject scripts run on dist/ afterwards.
+// Run: node scripts/build-dist.mjs && node scripts/inject-social-meta.mjs && node scripts/inject-ga4.mjs
+
+import fs from "fs";
+import path from "path";
+import { ROOT, DIST_DIR, isPublished } from "./lib/pages.mjs";
+
+function countFiles(p) {
+  if (!fs.statSync(p).isDirectory()) return 1;
+  return fs.readdirSync(p).reduce((n, name) => n + countFiles(path.join(p, name)), 0);
+}
+
+function main() {
+  fs.rmSync(DIST_DIR, { recursive: true, force: true });
+  fs.mkdirSync(DIST_DIR);
+
+  // Entry by entry: cpSync won't copy a directory into its own subdirectory
+  let files = 0;
+  for (const e of fs.readdirSync(ROOT, { withFileTypes: true })) {
+    if (!isPublished(e.name, e.isDirectory())) continue;
+    const src = path.join(ROOT, e.name);
+    fs.cpSync(src, path.join(DIST_DIR, e.name), { recursive: true });
+    files += countFiles(src);
+  }
+
+  console.log(`✅ Copied ${files} file(s) to ${path.relative(ROOT, DIST_DIR)}/`);
+}
+
+main();
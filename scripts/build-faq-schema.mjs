@@ -0,0 +1,124 @@
+// scripts/build-faq-schema.mjs
+// Rebuilds the FAQPage JSON-LD block on every page from its visible
+// <details>/<summary> FAQ, and reports pages where the two disagreed.
+// Run: node scripts/build-faq-schema.mjs          (rewrite + report)
+//      node scripts/build-faq-schema.mjs --check  (report only, exit 1 on drift)
+
+import fs from "fs";
+import path from "path";
+import { getVisibleFaq } from "./lib/html.mjs";
+import { ROOT, collectHtmlFiles } from "./lib/pages.mjs";
+
+const CHECK_ONLY = process.argv.includes("--check");
+
+// Loose comparison key: ignores case, punctuation, quotes and whitespace
+function norm(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// ── FAQ extraction ────────────────────────────────────────────────────────────
+
+// Existing FAQPage JSON-LD: the <script> element's position plus its Q&A
+function findSchemaBlock(html) {
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    let obj;
+    try {
+      obj = JSON.parse(m[1]);
+    } catch {
+      continue; // malformed JSON-LD, leave it alone
+    }
+    if (obj["@type"] !== "FAQPage") continue;
+    const faq = (Array.isArray(obj.mainEntity) ? obj.mainEntity : [])
+      .filter((q) => q["@type"] === "Question")
+      .map((q) => ({ question: String(q.name || ""), answer: String(q.acceptedAnswer?.text || "") }));
+    return { start: m.index, end: m.index + m[0].length, faq };
+  }
+  return null;
+}
+
+function diffFaq(visible, schema) {
+  const issues = [];
+  const schemaByQ = new Map(schema.map((f) => [norm(f.question), f]));
+  const visibleQs = new Set(visible.map((f) => norm(f.question)));
+
+  for (const f of visible) {
+    const s = schemaByQ.get(norm(f.question));
+    if (!s) issues.push(`missing from schema: "${f.question}"`);
+    else if (norm(s.answer) !== norm(f.answer)) issues.push(`answer differs: "${f.question}"`);
+  }
+  for (const f of schema) {
+    if (!visibleQs.has(norm(f.question))) issues.push(`not on page: "${f.question}"`);
+  }
+  return issues;
+}
+
+// ── JSON-LD rendering ─────────────────────────────────────────────────────────
+
+function buildSchemaScript(faq) {
+  const obj = {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    mainEntity: faq.map(({ question, answer }) => ({
+      "@type": "Question",
+      name: question,
+      acceptedAnswer: { "@type": "Answer", text: answer },
+    })),
+  };
+  // "</" can't appear inside a <script> body
+  const json = JSON.stringify(obj, null, 2).replace(/<\//g, "<\\/");
+  return `<script type="application/ld+json">\n  ${json.replace(/\n/g, "\n  ")}\n  </script>`;
+}
+
+function writeSchema(html, block, faq) {
+  const script = buildSchemaScript(faq);
+  if (block) return html.slice(0, block.start) + script + html.slice(block.end);
+
+  const headClose = html.search(/<\/head\s*>/i);
+  if (headClose === -1) return html;
+  return html.slice(0, headClose) + `  <!-- FAQ Schema -->\n  ${script}\n\n` + html.slice(headClose);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const files = collectHtmlFiles();
+  const drifted = [];
+  let changed = 0;
+
+  for (const filePath of files) {
+    const before = fs.readFileSync(filePath, "utf8");
+    const visible = getVisibleFaq(before);
+    if (!visible.length) continue;
+
+    const block = findSchemaBlock(before);
+    const issues = block ? diffFaq(visible, block.faq) : ["no FAQPage schema"];
+    if (issues.length) drifted.push({ file: path.relative(ROOT, filePath), issues });
+
+    if (CHECK_ONLY) continue;
+    const after = writeSchema(before, block, visible);
+    if (after !== before) {
+      fs.writeFileSync(filePath, after, "utf8");
+      changed++;
+    }
+  }
+
+  for (const d of drifted) {
+    console.warn(`⚠️  ${d.file}`);
+    for (const i of d.issues) console.warn(`   - ${i}`);
+  }
+
+  if (CHECK_ONLY) {
+    if (drifted.length) {
+      console.error(`\n❌ FAQ schema out of sync with visible FAQ on ${drifted.length} page(s)`);
+      process.exit(1);
+    }
+    console.log(`✅ FAQ schema matches visible FAQ (${files.length} pages scanned)`);
+    return;
+  }
+
+  console.log(`✅ FAQ schema rebuilt in ${changed} file(s); ${drifted.length} page(s) had drifted`);
+}
+
+main();
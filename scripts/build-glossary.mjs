@@ -0,0 +1,194 @@
+// scripts/build-glossary.mjs
+// Renders /data/glossary.json into the A–Z /glossary/ page: each term with its
+// abbreviations, other names, a short definition and a link to the page that
+// explains it. The same file supplies the search index's synonyms
+// (scripts/lib/glossary.mjs), so new terms go into the data file, not here.
+// A new page gets the full template; an existing one only has the block
+// between the glossary markers replaced.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-glossary.mjs
+
+import fs from "fs";
+import path from "path";
+import { loadCatalog } from "./lib/catalog.mjs";
+import { GLOSSARY_FILE, loadGlossary, normalizeTerm, validateGlossary } from "./lib/glossary.mjs";
+import { escapeHtml, getH1Text, replaceBlock, unwrapMeasures } from "./lib/html.mjs";
+import { getGroupLabel } from "./lib/labels.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { ROOT, SITE_NAME, urlToFile } from "./lib/pages.mjs";
+
+const OUT_FILE = path.join(ROOT, "glossary", "index.html");
+
+const START_MARKER = "<!-- glossary:start (generated by scripts/build-glossary.mjs) -->";
+const END_MARKER = "<!-- glossary:end -->";
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+
+function getFileH1(file) {
+  return fs.existsSync(file) ? getH1Text(fs.readFileSync(file, "utf8")) : "";
+}
+
+// What the "see" link says: "Wear Layer (Rigid Core LVT)", "Sheen across
+// materials", "Laminate"
+function linkLabel(url, catalog) {
+  const spec = catalog.get(url);
+  if (spec) {
+    const group = getGroupLabel(spec.material, spec.variant);
+    return group ? `${spec.label} (${group})` : spec.label;
+  }
+  const hub = url.match(/^\/specs\/[^/]+\/$/);
+  if (hub) return `${getFileH1(urlToFile(url))} across materials`;
+  const overview = url.match(/^\/materials\/([^/]+)\/(?:([^/]+)\/)?$/);
+  if (overview) return getGroupLabel(overview[1], overview[2] || null) || url;
+  return getFileH1(urlToFile(url)) || url;
+}
+
+function termId(term) {
+  return normalizeTerm(term).replace(/ /g, "-");
+}
+
+function letterOf(term) {
+  const c = term.charAt(0).toUpperCase();
+  return LETTERS.includes(c) ? c : "#";
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function renderEntry(entry, catalog) {
+  const abbreviations = entry.abbreviations || [];
+  const synonyms = entry.synonyms || [];
+  return [
+    `        <div id="${escapeHtml(termId(entry.term))}" class="py-4">`,
+    `          <dt class="font-semibold">${escapeHtml(entry.term)}${abbreviations.length ? ` <span class="font-normal text-slate-500">(${abbreviations.map(escapeHtml).join(", ")})</span>` : ""}</dt>`,
+    `          <dd class="mt-1 text-slate-700">${escapeHtml(entry.definition)}</dd>`,
+    ...(synonyms.length
+      ? [`          <dd class="mt-1 text-sm text-slate-500">Also called: ${synonyms.map(escapeHtml).join(", ")}</dd>`]
+      : []),
+    `          <dd class="mt-1 text-sm">See <a href="${escapeHtml(entry.page)}" class="text-blue-700 hover:underline">${escapeHtml(linkLabel(entry.page, catalog))}</a></dd>`,
+    `        </div>`,
+  ].join("\n");
+}
+
+function renderBlock(entries, catalog) {
+  const byLetter = new Map();
+  for (const entry of [...entries].sort((a, b) => a.term.localeCompare(b.term, "en", { sensitivity: "base" }))) {
+    const letter = letterOf(entry.term);
+    if (!byLetter.has(letter)) byLetter.set(letter, []);
+    byLetter.get(letter).push(entry);
+  }
+
+  // Letters without terms stay in the row, greyed out, so it reads A–Z
+  const chips = LETTERS.map((letter) =>
+    byLetter.has(letter)
+      ? `      <a href="#letter-${letter.toLowerCase()}" class="rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50">${letter}</a>`
+      : `      <span class="rounded-lg border border-slate-100 px-3 py-2 text-slate-300">${letter}</span>`
+  );
+
+  const sections = [...byLetter.entries()].map(([letter, items]) => [
+    `    <section id="letter-${letter === "#" ? "other" : letter.toLowerCase()}" class="mt-10">`,
+    `      <h2 class="text-2xl font-bold">${escapeHtml(letter)}</h2>`,
+    `      <dl class="mt-2 max-w-3xl divide-y divide-slate-200">`,
+    items.map((e) => renderEntry(e, catalog)).join("\n"),
+    `      </dl>`,
+    `    </section>`,
+  ].join("\n"));
+
+  return [
+    START_MARKER,
+    `    <div class="mt-6 flex flex-wrap gap-2 text-sm">`,
+    chips.join("\n"),
+    `    </div>`,
+    "",
+    sections.join("\n\n"),
+    `    ${END_MARKER}`,
+  ].join("\n");
+}
+
+function renderPage(block) {
+  const title = `Flooring Glossary | ${SITE_NAME}`;
+  const description = "Flooring spec terms and abbreviations from A to Z — SPC, AC rating, face weight, Janka, EPD and more — each with a short definition and a link to the full page.";
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+
+  <link rel="stylesheet" href="/tailwind.css">
+  <link rel="icon" href="/favicon.ico" type="image/x-icon">
+</head>
+
+<body class="bg-slate-50 text-slate-900">
+  <div id="site-header"></div>
+
+  <main class="mx-auto max-w-5xl px-4 py-10">
+    <section class="space-y-4">
+      <h1 class="text-3xl sm:text-4xl font-bold tracking-tight">Flooring Glossary
+        <span class="block text-slate-600 font-semibold text-xl sm:text-2xl mt-2">Spec Terms &amp; Abbreviations, A–Z</span>
+      </h1>
+
+      <p class="text-slate-700 text-lg max-w-3xl">
+        Short definitions of the terms and abbreviations that show up on flooring spec sheets, with the other names they go by. Each entry links to the page that covers it in full.
+        <span class="text-slate-500"> Reference-only: no product recommendations.</span>
+      </p>
+    </section>
+
+    ${block}
+
+    <section class="mt-10 max-w-3xl">
+      <h2 class="text-lg font-semibold">Reference-Only Information</h2>
+      <p class="mt-2 text-sm text-slate-700">This page provides general informational reference about flooring specifications. It does not provide installation guidance, professional advice, or product recommendations.</p>
+    </section>
+  </main>
+
+  <div id="site-footer"></div>
+  <script src="/assets/js/site.js" defer></script>
+</body>
+</html>
+`;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const entries = loadGlossary();
+  const redirected = getRedirectSources();
+
+  const problems = validateGlossary(entries);
+  for (const entry of entries) {
+    if (!entry.page) continue;
+    if (redirected.has(entry.page)) problems.push(`"${entry.term}": page ${entry.page} is redirected`);
+    else if (!fs.existsSync(urlToFile(entry.page))) problems.push(`"${entry.term}": page ${entry.page} doesn't exist`);
+  }
+  if (problems.length) {
+    console.error(`\n❌ ${path.relative(ROOT, GLOSSARY_FILE)}: ${problems.length} problem(s)`);
+    for (const p of problems) console.error(`- ${p}`);
+    console.error("");
+    process.exit(1);
+  }
+
+  const catalog = new Map(loadCatalog().map((e) => [e.url, e]));
+  const block = renderBlock(entries, catalog);
+  const rel = path.relative(ROOT, OUT_FILE);
+
+  if (!fs.existsSync(OUT_FILE)) {
+    fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+    fs.writeFileSync(OUT_FILE, renderPage(block), "utf8");
+    console.log(`✅ Glossary: ${entries.length} term(s) written to ${rel}`);
+    return;
+  }
+
+  const before = fs.readFileSync(OUT_FILE, "utf8");
+  const after = replaceBlock(before, block, START_MARKER, END_MARKER);
+  if (after === null) {
+    console.warn(`⚠️  ${rel}: no glossary markers, skipped`);
+    return;
+  }
+  const changed = unwrapMeasures(after) !== unwrapMeasures(before);
+  if (changed) fs.writeFileSync(OUT_FILE, after, "utf8");
+  console.log(`✅ Glossary: ${entries.length} term(s), ${changed ? "1 file" : "0 files"} changed`);
+}
+
+main();
@@ -0,0 +1,44 @@
+// scripts/build-measure-markup.mjs
+// Wraps measurements in page copy ("12 mil", "5–6 in (127–152 mm)") in
+// <span data-measure> markup so the imperial/metric toggle in site.js can
+// rewrite them (scripts/lib/measure-markup.mjs). The markup is redone on every
+// run, so pages pick up changes to the rules.
+// Run: node scripts/build-measure-markup.mjs
+
+import fs from "fs";
+import path from "path";
+import { isRedirectStub } from "./lib/html.mjs";
+import { markupMain } from "./lib/measure-markup.mjs";
+import { ROOT, walk } from "./lib/pages.mjs";
+
+// Spec pages, and the hubs that quote them side by side
+const PAGE_DIRS = [path.join(ROOT, "materials"), path.join(ROOT, "specs")];
+
+function main() {
+  let changed = 0;
+  let scanned = 0;
+  let wrapped = 0;
+
+  for (const filePath of PAGE_DIRS.flatMap((dir) => [...walk(dir)])) {
+    if (!filePath.toLowerCase().endsWith(".html")) continue;
+
+    const before = fs.readFileSync(filePath, "utf8");
+    if (isRedirectStub(before)) continue;
+    const m = before.match(/(<main\b[^>]*>)([\s\S]*?)(<\/main>)/i);
+    if (!m) continue;
+    scanned++;
+
+    const r = markupMain(m[2]);
+    wrapped += r.count;
+
+    const after = before.slice(0, m.index) + m[1] + r.main + m[3] + before.slice(m.index + m[0].length);
+    if (after !== before) {
+      fs.writeFileSync(filePath, after, "utf8");
+      changed++;
+    }
+  }
+
+  console.log(`✅ Measurements: ${wrapped} marked up in ${scanned} file(s), ${changed} file(s) changed`);
+}
+
+main();
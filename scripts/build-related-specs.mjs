@@ -0,0 +1,232 @@
+// scripts/build-related-specs.mjs
+// Regenerates the "Related specs to compare" block on every spec page from
+// /data/specs.json. Relatedness is computed, not hand-kept, so links cross
+// variants and materials and pick up new pages:
+//   - shared vocabulary: the keywords the search index builds for each page
+//     (spec name, synonyms, headings, FAQ phrases), weighted by rarity
+//   - mentions: one page's copy naming the other spec
+//   - the same spec in another variant or material, and sibling categories
+// Chips marked data-pinned are hand-curated and always kept, first; computed
+// links fill the block up to RELATED_COUNT. Pages without the block get one
+// before the "Reference-Only Information" section; a hand-written block is
+// replaced by a marked one the first time, keeping only its data-pinned chips.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-related-specs.mjs
+
+import fs from "fs";
+import { loadCatalog } from "./lib/catalog.mjs";
+import { decodeEntities, escapeHtml, unwrapMeasures } from "./lib/html.mjs";
+import { getGroupLabel } from "./lib/labels.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { urlToFile } from "./lib/pages.mjs";
+import { buildEntry } from "./lib/search-index.mjs";
+
+const START_MARKER = "<!-- related:start (generated by scripts/build-related-specs.mjs) -->";
+const END_MARKER = "<!-- related:end -->";
+
+// Chips per page, pinned ones included (pages with more pins keep them all)
+const RELATED_COUNT = 6;
+
+// Below this a computed link is more noise than help; the block can come up short
+const MIN_SCORE = 0.15;
+
+// Added to the vocabulary score
+const SAME_SPEC_BONUS = 0.3; // same slug in another variant / material
+const MENTIONS_BONUS = 0.2; // this page's copy names the other spec
+const MENTIONED_BY_BONUS = 0.1; // the other page's copy names this spec
+const SIBLING_CATEGORY_BONUS = 0.05; // same category folder (construction, …)
+
+const CHIP_CLASS = "rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50";
+
+// Lowercase words separated by single spaces, padded so " name " matches whole words
+function toPlain(text) {
+  return ` ${decodeEntities(text).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+}
+
+// ── Existing block ────────────────────────────────────────────────────────────
+
+// [start, end) of the element whose opening tag starts at `at`
+function elementRange(html, at) {
+  const name = html.slice(at).match(/^<([a-z0-9]+)/i)[1];
+  const re = new RegExp(`<(/?)${name}\\b[^>]*>`, "gi");
+  re.lastIndex = at;
+  let depth = 0;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    depth += m[1] ? -1 : 1;
+    if (!depth) return [at, m.index + m[0].length];
+  }
+  return null;
+}
+
+// The marked block, or the hand-written card around the heading
+function findBlock(html) {
+  const start = html.indexOf(START_MARKER);
+  const end = html.indexOf(END_MARKER);
+  if (start !== -1 && end > start) return [start, end + END_MARKER.length];
+
+  const heading = html.search(/<h2\b[^>]*>\s*Related specs to compare\s*<\/h2>/i);
+  if (heading === -1) return null;
+  const opens = [...html.slice(0, heading).matchAll(/<(?:section|div)\b[^>]*>/gi)];
+  const card = opens.reverse().find((m) => /\brounded-xl\b/.test(m[0]));
+  return card ? elementRange(html, card.index) : null;
+}
+
+// Chips marked data-pinned, in the generated block or a hand-written one
+function getPins(html, range) {
+  if (!range) return [];
+  const pins = [];
+  for (const m of html.slice(...range).matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    if (!/\sdata-pinned\b/.test(m[1])) continue;
+    const href = m[1].match(/\shref=["']([^"']+)["']/i);
+    if (href) pins.push({ url: href[1], label: decodeEntities(m[2].replace(/<[^>]+>/g, "").trim()) });
+  }
+  return pins;
+}
+
+// Drop the element along with the whitespace before it; what follows keeps
+// its own line break and indentation
+function removeRange(html, [start, end]) {
+  return html.slice(0, start).replace(/\s*$/, "") + html.slice(end);
+}
+
+// Where a new block goes (right after the preceding element): before
+// "Reference-Only Information", else after #faq, else at the end of <main>
+function insertAt(html) {
+  const ref = html.search(/<h2\b[^>]*>\s*Reference-Only Information\s*<\/h2>/i);
+  if (ref !== -1) {
+    const open = [...html.slice(0, ref).matchAll(/<section\b[^>]*>/gi)].pop();
+    if (open) return html.slice(0, open.index).replace(/\s*$/, "").length;
+  }
+  const faq = html.search(/<section\b[^>]*\bid=["']faq["']/i);
+  const range = faq === -1 ? null : elementRange(html, faq);
+  if (range) return range[1];
+  return html.slice(0, html.search(/<\/main>/i)).replace(/\s*$/, "").length;
+}
+
+// ── Relatedness ───────────────────────────────────────────────────────────────
+
+// <main> copy without the related block and breadcrumbs, so links don't count
+// as mentions
+function getCopy(html) {
+  const range = findBlock(html);
+  const main = (range ? removeRange(html, range) : html).match(/<main\b[^>]*>([\s\S]*?)<\/main>/i)?.[1] || "";
+  return toPlain(main.replace(/<nav\b[^>]*>[\s\S]*?<\/nav>/gi, " ").replace(/<[^>]+>/g, " "));
+}
+
+// Names a spec goes by in other pages' copy: "face weight", "janka hardness"
+function getNames(entry) {
+  const names = [entry.slug.replace(/-/g, " "), entry.label.replace(/\([^)]*\)/g, "")];
+  return [...new Set(names.map((n) => toPlain(n).trim()).filter(Boolean))];
+}
+
+function loadPages(catalog) {
+  const pages = [];
+  for (const entry of catalog) {
+    const file = urlToFile(entry.url);
+    if (!fs.existsSync(file)) continue;
+    const html = unwrapMeasures(fs.readFileSync(file, "utf8"));
+    const built = buildEntry(file, entry.url);
+    // Whole FAQ questions are one-offs; their words are in the list on their own
+    const keywords = (built?.[0].keywords || []).filter((k) => !k.includes("?"));
+    pages.push({ ...entry, file, keywords: new Set(keywords), copy: getCopy(html), names: getNames(entry) });
+  }
+  return pages;
+}
+
+// Cosine similarity over keyword sets, each keyword weighted by its IDF
+function vocabularyScorer(pages) {
+  const df = new Map();
+  for (const p of pages) for (const k of p.keywords) df.set(k, (df.get(k) || 0) + 1);
+  const weight = (k) => Math.log(pages.length / df.get(k)) ** 2;
+  const norms = new Map(pages.map((p) => [p, Math.sqrt([...p.keywords].reduce((s, k) => s + weight(k), 0))]));
+
+  return (a, b) => {
+    let shared = 0;
+    for (const k of a.keywords) if (b.keywords.has(k)) shared += weight(k);
+    return shared ? shared / (norms.get(a) * norms.get(b)) : 0;
+  };
+}
+
+function mentions(a, b) {
+  return b.names.some((n) => a.copy.includes(` ${n} `));
+}
+
+function scorePair(a, b, vocabulary) {
+  let score = vocabulary(a, b);
+  if (a.slug === b.slug) score += SAME_SPEC_BONUS;
+  if (mentions(a, b)) score += MENTIONS_BONUS;
+  if (mentions(b, a)) score += MENTIONED_BY_BONUS;
+  if (a.category && a.category === b.category) score += SIBLING_CATEGORY_BONUS;
+  return score;
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+// Outside the page's own variant the chip says where it goes: "Wear Layer (Laminate)"
+function chipLabel(from, to) {
+  if (from.material === to.material && from.variant === to.variant) return to.label;
+  const group = getGroupLabel(to.material, to.variant);
+  return group ? `${to.label} (${group})` : to.label;
+}
+
+function renderBlock(chips) {
+  const links = chips.map((c) =>
+    `        <a href="${escapeHtml(c.url)}" class="${CHIP_CLASS}"${c.pinned ? " data-pinned" : ""}>${escapeHtml(c.label)}</a>`
+  );
+  return [
+    START_MARKER,
+    `    <section class="mt-10 rounded-xl border border-slate-200 bg-white p-6 shadow-sm">`,
+    `      <h2 class="text-lg font-semibold">Related specs to compare</h2>`,
+    `      <div class="mt-3 flex flex-wrap gap-2 text-sm">`,
+    ...links,
+    `      </div>`,
+    `    </section>`,
+    `    ${END_MARKER}`,
+  ].join("\n");
+}
+
+function writeBlock(html, block) {
+  const range = findBlock(html);
+  if (range && html.startsWith(START_MARKER, range[0])) {
+    return html.slice(0, range[0]) + block + html.slice(range[1]);
+  }
+  const rest = range ? removeRange(html, range) : html;
+  const at = insertAt(rest);
+  return rest.slice(0, at) + "\n\n    " + block + rest.slice(at);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const redirected = getRedirectSources();
+  const pages = loadPages(loadCatalog().filter((e) => !redirected.has(e.url)));
+  const vocabulary = vocabularyScorer(pages);
+
+  let changed = 0;
+  let computed = 0;
+
+  for (const page of pages) {
+    const before = fs.readFileSync(page.file, "utf8");
+    const pins = getPins(before, findBlock(before)).map((p) => ({ ...p, pinned: true }));
+    const taken = new Set([page.url, ...pins.map((p) => p.url)]);
+
+    const ranked = pages
+      .filter((p) => !taken.has(p.url))
+      .map((p) => ({ p, score: scorePair(page, p, vocabulary) }))
+      .filter((r) => r.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score || a.p.url.localeCompare(b.p.url))
+      .slice(0, Math.max(0, RELATED_COUNT - pins.length))
+      .map(({ p }) => ({ url: p.url, label: chipLabel(page, p) }));
+    computed += ranked.length;
+
+    const after = writeBlock(before, renderBlock([...pins, ...ranked]));
+    if (after !== before) {
+      fs.writeFileSync(page.file, after, "utf8");
+      changed++;
+    }
+  }
+
+  console.log(`✅ Related specs: ${computed} computed link(s) on ${pages.length} page(s), ${changed} file(s) changed`);
+}
+
+main();
@@ -1,137 +1,484 @@
 // scripts/build-sitemap.mjs
-// Generates /sitemap.xml from your HTML files.
-// Run: node scripts/build-sitemap.mjs
+// Generates /sitemap.xml from your HTML files, plus the human-readable
+// /sitemap/ page grouped by material, variant and spec category.
+// lastmod is the date (YYYY-MM-DD) of each file's last content commit: commits
+// that only touched the GA / canonical + Open Graph boilerplate (injected into
+// sources before the build moved to dist/) don't count. Uncommitted content
+// edits date from today; only files git doesn't track use their mtime.
+// Past the protocol limits (50,000 URLs or 50 MB) the URLs are split across
+// sitemap-1.xml, sitemap-2.xml… and sitemap.xml becomes a sitemap index.
+// Run: node scripts/build-sitemap.mjs (after build-spec-catalog.mjs)
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, "..");
+import { execFileSync } from "child_process";
+import { CATALOG_FILE, categoryRank, getCategoryLabel, loadCatalog } from "./lib/catalog.mjs";
+import { escapeHtml, replaceBlock } from "./lib/html.mjs";
+import { getH1Label, getNameLabel, titleCase } from "./lib/labels.mjs";
+import { ROOT, SITE_ORIGIN, SITE_NAME, config, collectListedPages } from "./lib/pages.mjs";
 
 const OUT_FILE = path.join(ROOT, "sitemap.xml");
 
-// ✅ Your canonical site URL (set this!)
-const SITE_ORIGIN = "https://floorref.com"; //
+// sitemaps.org limits per file
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_BYTES_PER_SITEMAP = 50 * 1024 * 1024;
 
-// Only include these folders in sitemap
-const INCLUDE_DIRS = ["materials"];
+// Lines inject-ga4.mjs and inject-social-meta.mjs used to write into sources
+// (compared trimmed).
+// A commit whose changes to a file are all such lines isn't a content change.
+const BOILERPLATE_LINES = [
+  /^$/,
+  /^<!-- Google tag \(gtag\.js\) -->$/,
+  /^<script async src="https:\/\/www\.googletagmanager\.com\/gtag\/js\?id=G-[A-Z0-9]+"><\/script>$/,
+  /^<\/?script>$/,
+  /^window\.dataLayer = window\.dataLayer \|\| \[\];$/,
+  /^function gtag\(\)\{dataLayer\.push\(arguments\);\}$/,
+  /^gtag\(.*\);$/,
+  /^<!-- Canonical \+ Open Graph -->$/,
+  /^<link rel="canonical"[^>]*>$/,
+  /^<meta (?:property="og:|name="twitter:)[^>]*>$/,
+];
 
-// Root files to include (homepage only by default)
-const INCLUDE_ROOT_FILES = ["index.html"];
+// Human-readable sitemap page
+const HTML_SITEMAP_FILE = path.join(ROOT, "sitemap", "index.html");
+const HTML_SITEMAP_URL = "/sitemap/";
+const START_MARKER = "<!-- sitemap:start (generated by scripts/build-sitemap.mjs) -->";
+const END_MARKER = "<!-- sitemap:end -->";
 
-// Skip directories everywhere
-const SKIP_DIRS = new Set(["assets", "data", "scripts", ".netlify", ".git", "node_modules"]);
+function escapeXml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
 
-// Skip specific files (always)
-const SKIP_FILES = new Set(["404.html"]);
+// ── lastmod ───────────────────────────────────────────────────────────────────
 
-// If you want to exclude URL prefixes too (extra safety)
-const EXCLUDE_URL_PREFIXES = ["/search/", "/about/", "/contact/", "/legal/"];
+function git(args) {
+  return execFileSync("git", args, {
+    cwd: ROOT,
+    encoding: "utf8",
+    maxBuffer: 512 * 1024 * 1024,
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+}
 
-// Exact URLs to exclude (e.g. redirect sources that have a canonical elsewhere)
-const EXCLUDE_URLS = new Set([
-  "/materials/laminate/specs/performance/abrasion-resistance.html",
-  "/materials/carpet/carpet-tile/specs/tile-backing-systems.html",
-  "/materials/hardwood/engineered-hardwood/specs/installation/moisture-testing.html",
-  "/materials/lvt/glue-down/specs/construction/wear-layer.html",
-]);
+function isBoilerplate(line) {
+  const s = line.trim();
+  return BOILERPLATE_LINES.some((re) => re.test(s));
+}
 
-function* walk(dirPath) {
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-  for (const e of entries) {
-    const full = path.join(dirPath, e.name);
-    if (e.isDirectory()) {
-      if (SKIP_DIRS.has(e.name)) continue;
-      yield* walk(full);
-    } else {
-      yield full;
+// Walks a `git log -p` / `git diff` patch and calls
+// onFile(date, relPath, hasContentChange) once per file per commit.
+// `git diff` output has no commit lines, so date is "" there.
+function parsePatch(text, onFile) {
+  let date = "";
+  let file = "";
+  let inHunk = false;
+  let content = false;
+
+  const flush = () => {
+    if (file) onFile(date, file, content);
+    file = "";
+  };
+
+  for (const line of text.split("\n")) {
+    if (line.startsWith("commit ")) {
+      flush();
+      date = line.split(" ")[2] || "";
+    } else if (line.startsWith("diff --git ")) {
+      flush();
+      file = line.slice(line.indexOf(" b/") + 3);
+      inHunk = false;
+      content = false;
+    } else if (line.startsWith("@@")) {
+      inHunk = true;
+    } else if (inHunk && !content && (line[0] === "+" || line[0] === "-") && !isBoilerplate(line.slice(1))) {
+      content = true;
     }
   }
+  flush();
+}
+
+// relPath → ISO date of its last content commit (or, if every commit was
+// boilerplate, the commit that added it). null when git isn't available.
+function readGitDates() {
+  const pathspec = [...config.sections, ...config.rootPages];
+  const dates = new Map();
+  const dirty = new Set();
+
+  try {
+    // Newest first, so the first content commit seen per file is the latest
+    const log = git(["log", "-p", "-U0", "--no-color", "--no-renames", "--no-ext-diff", "--format=commit %H %cI", "--", ...pathspec]);
+    const created = new Map();
+    parsePatch(log, (date, file, content) => {
+      if (content && !dates.has(file)) dates.set(file, date);
+      created.set(file, date);
+    });
+    for (const [file, date] of created) {
+      if (!dates.has(file)) dates.set(file, date);
+    }
+
+    // Uncommitted content edits win over history
+    const diff = git(["diff", "HEAD", "-U0", "--no-color", "--no-renames", "--no-ext-diff", "--", ...pathspec]);
+    parsePatch(diff, (date, file, content) => {
+      if (content) dirty.add(file);
+    });
+
+    if (git(["rev-parse", "--is-shallow-repository"]).trim() === "true") {
+      console.warn("⚠️  Shallow clone: lastmod dates stop at the clone boundary (fetch full history for exact dates)");
+    }
+  } catch {
+    console.warn("⚠️  git history unavailable; lastmod falls back to file modification times");
+    return null;
+  }
+
+  return { dates, dirty };
 }
 
-function fileToUrl(filePath) {
+// "2026-03-14T09:26:53+01:00" → "2026-03-14"; Date → its UTC day
+function toDay(date) {
+  return typeof date === "string" ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+}
+
+function getLastmod(filePath, history) {
   const rel = path.relative(ROOT, filePath).split(path.sep).join("/");
+  if (history?.dirty.has(rel)) return toDay(new Date());
+  if (history?.dates.has(rel)) return toDay(history.dates.get(rel));
+  return toDay(fs.statSync(filePath).mtime);
+}
+
+// ── sitemap.xml ───────────────────────────────────────────────────────────────
+
+function renderUrlset(blocks) {
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    blocks.join("") +
+    `</urlset>\n`
+  );
+}
+
+// Greedy split into files that stay within the URL and byte limits
+function chunkBlocks(blocks) {
+  const overhead = Buffer.byteLength(renderUrlset([]));
+  const chunks = [];
+  let current = [];
+  let bytes = overhead;
+
+  for (const b of blocks) {
+    const size = Buffer.byteLength(b);
+    if (current.length && (current.length >= MAX_URLS_PER_SITEMAP || bytes + size > MAX_BYTES_PER_SITEMAP)) {
+      chunks.push(current);
+      current = [];
+      bytes = overhead;
+    }
+    current.push(b);
+    bytes += size;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+function writeXmlSitemaps(entries) {
+  const blocks = entries.map(({ url, lastmod }) =>
+    `  <url>\n` +
+    `    <loc>${escapeXml(`${SITE_ORIGIN}${url}`)}</loc>\n` +
+    `    <lastmod>${escapeXml(lastmod)}</lastmod>\n` +
+    `  </url>\n`
+  );
+  const chunks = chunkBlocks(blocks);
 
-  // Root index.html -> "/"
-  if (rel === "index.html") return "/";
+  // Remove parts left over from a previous, larger split
+  for (const f of fs.readdirSync(ROOT)) {
+    if (/^sitemap-\d+\.xml$/.test(f)) fs.unlinkSync(path.join(ROOT, f));
+  }
 
-  // Folder index.html -> "/folder/subfolder/"
-  if (rel.endsWith("/index.html")) {
-    const dir = rel.replace(/index\.html$/, "");
-    return `/${dir}`;
+  if (chunks.length <= 1) {
+    fs.writeFileSync(OUT_FILE, renderUrlset(chunks[0] || []), "utf8");
+    return 1;
   }
 
-  // other html files keep .html (matches your /materials/*.html)
-  return `/${rel}`;
+  let offset = 0;
+  const parts = chunks.map((chunk, i) => {
+    const name = `sitemap-${i + 1}.xml`;
+    fs.writeFileSync(path.join(ROOT, name), renderUrlset(chunk), "utf8");
+    const lastmod = entries.slice(offset, offset + chunk.length)
+      .reduce((latest, e) => (Date.parse(e.lastmod) > Date.parse(latest) ? e.lastmod : latest), "1970-01-01");
+    offset += chunk.length;
+    return { name, lastmod };
+  });
+
+  const index =
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    parts
+      .map(({ name, lastmod }) =>
+        `  <sitemap>\n` +
+        `    <loc>${escapeXml(`${SITE_ORIGIN}/${name}`)}</loc>\n` +
+        `    <lastmod>${escapeXml(lastmod)}</lastmod>\n` +
+        `  </sitemap>\n`
+      )
+      .join("") +
+    `</sitemapindex>\n`;
+  fs.writeFileSync(OUT_FILE, index, "utf8");
+  return parts.length;
 }
 
-function collectHtmlFiles() {
-  const files = [];
+// ── /sitemap/ page ────────────────────────────────────────────────────────────
+
+// <h1> label of a page file, trimmed the same way as breadcrumb labels
+function readH1Label(filePath) {
+  return fs.existsSync(filePath) ? getH1Label(fs.readFileSync(filePath, "utf8")) : "";
+}
+
+// Spec labels by URL; without the catalog, spec pages fall back to their <h1>
+function loadSpecLabels() {
+  return fs.existsSync(CATALOG_FILE) ? new Map(loadCatalog().map((e) => [e.url, e])) : new Map();
+}
 
-  // Directories
-  for (const d of INCLUDE_DIRS) {
-    const p = path.join(ROOT, d);
-    if (!fs.existsSync(p) || !fs.statSync(p).isDirectory()) continue;
-    for (const f of walk(p)) {
-      if (!f.toLowerCase().endsWith(".html")) continue;
-      if (SKIP_FILES.has(path.basename(f))) continue;
-      files.push(f);
+// materials/<material>/[<group>/](index.html | specs/… | checklist/… | page.html)
+// The group is a variant (rigid-core) or a standalone guide folder
+// (floating-vs-glue-down); "" holds the material's own pages.
+function buildTree(pages, catalog) {
+  const site = [];
+  const specs = [];
+  const materials = new Map();
+
+  for (const { file, url } of pages) {
+    const rel = path.relative(ROOT, file).split(path.sep);
+    // Cross-material hubs (build-spec-hubs.mjs) get their own list; /specs/ stays under Site
+    if (rel[0] === "specs" && rel.length > 2) {
+      specs.push({ url, label: readH1Label(file) || titleCase(rel[1]) });
+      continue;
+    }
+    if (rel[0] !== "materials") {
+      site.push({ url, label: url === "/" ? "Home" : readH1Label(file) || titleCase(rel[0]) });
+      continue;
+    }
+
+    const material = rel[1];
+    let rest = rel.slice(2);
+    const group = rest.length > 1 && rest[0] !== "specs" && rest[0] !== "checklist" ? rest[0] : "";
+    if (group) rest = rest.slice(1);
+
+    if (!materials.has(material)) materials.set(material, new Map());
+    const groups = materials.get(material);
+    if (!groups.has(group)) groups.set(group, { pages: [], categories: new Map() });
+    const g = groups.get(group);
+
+    if (rest.join("/") === "index.html") {
+      g.overview = url;
+      g.label = readH1Label(file);
+    } else if (rest.join("/") === "specs/index.html") {
+      g.pages.push({ url, label: "All specs", rank: 0 });
+    } else if (rest.join("/") === "checklist/index.html") {
+      g.pages.push({ url, label: "Spec sheet checklist", rank: 1 });
+    } else if (rest[0] === "specs") {
+      const category = rest.length > 2 ? rest[1] : "";
+      const label = catalog.get(url)?.label || readH1Label(file) || titleCase(path.basename(file, ".html"));
+      if (!g.categories.has(category)) g.categories.set(category, []);
+      g.categories.get(category).push({ url, label });
+    } else {
+      g.pages.push({ url, label: readH1Label(file) || titleCase(path.basename(file, ".html")), rank: 2 });
     }
   }
 
-  // Root files
-  for (const f of INCLUDE_ROOT_FILES) {
-    if (SKIP_FILES.has(f)) continue;
-    const p = path.join(ROOT, f);
-    if (fs.existsSync(p) && fs.statSync(p).isFile()) files.push(p);
+  return {
+    site: site.sort((a, b) => (a.url === "/" ? -1 : b.url === "/" ? 1 : a.label.localeCompare(b.label))),
+    specs: specs.sort((a, b) => a.label.localeCompare(b.label)),
+    materials: [...materials.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([material, groups]) => ({
+        material,
+        label: groups.get("")?.label || getNameLabel(material),
+        groups: [...groups.entries()]
+          .sort(([a], [b]) => (a === "" ? -1 : b === "" ? 1 : a.localeCompare(b)))
+          .map(([group, g]) => ({
+            group,
+            label: g.label || (group ? `${getNameLabel(material)} — ${getNameLabel(group)}` : getNameLabel(material)),
+            overview: g.overview,
+            pages: g.pages.sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label)),
+            categories: [...g.categories.entries()]
+              .sort(([a], [b]) => categoryRank(a) - categoryRank(b) || a.localeCompare(b))
+              .map(([category, items]) => ({
+                heading: getCategoryLabel(category),
+                items: items.sort((a, b) => a.label.localeCompare(b.label)),
+              })),
+          })),
+      })),
+  };
+}
+
+function renderLinks(items, indent) {
+  return items
+    .map(({ url, label }) => `${indent}<li><a class="text-blue-700 hover:underline" href="${escapeHtml(url)}">${escapeHtml(label)}</a></li>`)
+    .join("\n");
+}
+
+function renderGroup(g) {
+  const top = [
+    ...(g.group && g.overview ? [{ url: g.overview, label: "Overview" }] : []),
+    ...g.pages,
+  ];
+
+  const lines = [];
+  if (g.group) {
+    lines.push(`          <h3 class="text-lg font-semibold">${escapeHtml(g.label)}</h3>`);
+  }
+  if (top.length) {
+    lines.push(
+      `          <ul class="mt-2 flex flex-wrap gap-x-6 gap-y-2">`,
+      renderLinks(top, "            "),
+      `          </ul>`
+    );
+  }
+  for (const { heading, items } of g.categories) {
+    lines.push(
+      `          <h4 class="mt-4 text-sm font-semibold uppercase tracking-wide text-slate-500">${escapeHtml(heading)}</h4>`,
+      `          <ul class="mt-2 grid sm:grid-cols-2 lg:grid-cols-3 gap-y-2 gap-x-6 text-slate-800">`,
+      renderLinks(items, "            "),
+      `          </ul>`
+    );
   }
 
-  return files;
+  return [
+    `        <div class="rounded-2xl border border-slate-200 p-6">`,
+    ...lines,
+    `        </div>`,
+  ].join("\n");
 }
 
-function escapeXml(s) {
-  return String(s)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
+function renderBlock(tree) {
+  const chips = tree.materials.map(({ material, label }) =>
+    `      <a href="#${escapeHtml(material)}" class="rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50">${escapeHtml(label)}</a>`
+  );
+
+  const sections = tree.materials.map(({ material, label, groups }) => {
+    const hub = groups.find((g) => g.group === "")?.overview;
+    const heading = hub
+      ? `<a href="${escapeHtml(hub)}" class="hover:underline">${escapeHtml(label)}</a>`
+      : escapeHtml(label);
+    return [
+      `    <section id="${escapeHtml(material)}" class="mt-10">`,
+      `      <h2 class="text-2xl font-bold">${heading}</h2>`,
+      `      <div class="mt-4 grid gap-6">`,
+      groups.filter((g) => g.group || g.pages.length || g.categories.length).map(renderGroup).join("\n\n"),
+      `      </div>`,
+      `    </section>`,
+    ].join("\n");
+  });
+
+  return [
+    START_MARKER,
+    `    <div class="mt-6 flex flex-wrap gap-2 text-sm">`,
+    chips.join("\n"),
+    `    </div>`,
+    "",
+    `    <section class="mt-10">`,
+    `      <h2 class="text-2xl font-bold">Site</h2>`,
+    `      <ul class="mt-4 flex flex-wrap gap-x-6 gap-y-2">`,
+    renderLinks(tree.site, "        "),
+    `      </ul>`,
+    `    </section>`,
+    "",
+    ...(tree.specs.length
+      ? [
+          `    <section id="specs" class="mt-10">`,
+          `      <h2 class="text-2xl font-bold"><a href="/specs/" class="hover:underline">Specs Across Materials</a></h2>`,
+          `      <ul class="mt-4 grid sm:grid-cols-2 lg:grid-cols-3 gap-y-2 gap-x-6 text-slate-800">`,
+          renderLinks(tree.specs, "        "),
+          `      </ul>`,
+          `    </section>`,
+          "",
+        ]
+      : []),
+    sections.join("\n\n"),
+    `    ${END_MARKER}`,
+  ].join("\n");
 }
 
-function main() {
-  const files = collectHtmlFiles();
+function renderPage(block) {
+  const title = `Site Map | ${SITE_NAME}`;
+  const description = "Every Flooring Reference page in one place, grouped by material, variant and spec category — overviews, spec pages, checklists and tools.";
 
-  const urls = files
-    .map((f) => fileToUrl(f))
-    .filter((u) => u && !EXCLUDE_URL_PREFIXES.some((p) => u.startsWith(p)) && !EXCLUDE_URLS.has(u));
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
 
-  // De-dupe + sort
-  const unique = [...new Set(urls)].sort((a, b) => a.localeCompare(b));
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
 
-  const now = new Date().toISOString();
+  <link rel="stylesheet" href="/tailwind.css">
+  <link rel="icon" href="/favicon.ico" type="image/x-icon">
+</head>
 
-  const xml =
-    `<?xml version="1.0" encoding="UTF-8"?>\n` +
-    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
-    unique
-      .map((u) => {
-        const loc = `${SITE_ORIGIN}${u}`;
-        return (
-          `  <url>\n` +
-          `    <loc>${escapeXml(loc)}</loc>\n` +
-          `    <lastmod>${now}</lastmod>\n` +
-          `  </url>\n`
-        );
-      })
-      .join("") +
-    `</urlset>\n`;
+<body class="bg-slate-50 text-slate-900">
+  <div id="site-header"></div>
+
+  <main class="mx-auto max-w-6xl px-4 py-10">
+    <section class="max-w-3xl space-y-4">
+      <h1 class="text-3xl sm:text-4xl font-bold tracking-tight">Site Map
+        <span class="block text-slate-600 font-semibold text-xl sm:text-2xl mt-2">Every Page · By Material, Variant and Spec Category</span>
+      </h1>
+      <p class="text-slate-700 text-lg">
+        Every page on the site, grouped the same way as the spec indexes. Looking for one term? <a href="/" class="text-blue-700 hover:underline">Search from the homepage</a> instead.
+      </p>
+    </section>
+
+    ${block}
+  </main>
+
+  <div id="site-footer"></div>
+  <script src="/assets/js/site.js" defer></script>
+</body>
+</html>
+`;
+}
+
+// New page gets the full template; an existing one only has its block replaced
+function writeHtmlSitemap(pages) {
+  const block = renderBlock(buildTree(pages, loadSpecLabels()));
+  const rel = path.relative(ROOT, HTML_SITEMAP_FILE);
+
+  if (!fs.existsSync(HTML_SITEMAP_FILE)) {
+    fs.mkdirSync(path.dirname(HTML_SITEMAP_FILE), { recursive: true });
+    fs.writeFileSync(HTML_SITEMAP_FILE, renderPage(block), "utf8");
+    return;
+  }
+
+  const before = fs.readFileSync(HTML_SITEMAP_FILE, "utf8");
+  const after = replaceBlock(before, block, START_MARKER, END_MARKER);
+  if (after === null) {
+    console.warn(`⚠️  ${rel}: no sitemap markers, skipped`);
+    return;
+  }
+  if (after !== before) fs.writeFileSync(HTML_SITEMAP_FILE, after, "utf8");
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const pages = collectListedPages();
+
+  writeHtmlSitemap(pages.filter(({ url }) => url !== HTML_SITEMAP_URL));
+
+  // De-dupe + sort
+  const history = readGitDates();
+  const byUrl = new Map(pages.map((p) => [p.url, p]));
+  const entries = [...byUrl.values()]
+    .sort((a, b) => a.url.localeCompare(b.url))
+    .map(({ file, url }) => ({ url, lastmod: getLastmod(file, history) }));
 
-  fs.writeFileSync(OUT_FILE, xml, "utf8");
-  console.log(`✅ Wrote ${unique.length} URLs to ${path.relative(ROOT, OUT_FILE)}`);
+  const files = writeXmlSitemaps(entries);
+  const where = files > 1 ? `${files} sitemap files (index: ${path.relative(ROOT, OUT_FILE)})` : path.relative(ROOT, OUT_FILE);
+  console.log(`✅ Wrote ${entries.length} URLs to ${where} and ${path.relative(ROOT, HTML_SITEMAP_FILE)}`);
   if (SITE_ORIGIN.includes("YOUR-DOMAIN")) {
-    console.warn("⚠️  Reminder: set SITE_ORIGIN to your real domain in scripts/build-sitemap.mjs");
+    console.warn("⚠️  Reminder: set origin to your real domain in site.config.mjs");
   }
 }
 
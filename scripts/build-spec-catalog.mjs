@@ -0,0 +1,134 @@
+// scripts/build-spec-catalog.mjs
+// Generates /data/specs.json — one structured entry per spec page under
+// materials/<material>/<variant>/specs/<category>/<spec>.html
+// Run: node scripts/build-spec-catalog.mjs
+
+import fs from "fs";
+import path from "path";
+import { getMetaDescription, getVisibleFaq, isRedirectStub, toText, unwrapMeasures } from "./lib/html.mjs";
+import { toSpecLabel } from "./lib/labels.mjs";
+import { ROOT, walk, fileToUrl } from "./lib/pages.mjs";
+
+const MATERIALS_DIR = path.join(ROOT, "materials");
+const OUT_FILE = path.join(ROOT, "data", "specs.json");
+
+// ── Spec page extraction ──────────────────────────────────────────────────────
+
+// <h1>Wear Layer Explained <span>LVT Construction · …</span></h1>
+// → { title: "Wear Layer Explained", subtitle: "LVT Construction · …" }
+function getHeading(html) {
+  const m = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  if (!m) return { title: "", subtitle: "" };
+  const sub = m[1].match(/<span[^>]*>([\s\S]*?)<\/span>/i);
+  return {
+    title: toText(m[1].replace(/<span[^>]*>[\s\S]*?<\/span>/gi, " ")),
+    subtitle: sub ? toText(sub[1]) : "",
+  };
+}
+
+function getQuickAnswer(html) {
+  const m = html.match(/Quick answer\s*<\/div>\s*<p[^>]*>([\s\S]*?)<\/p>/i);
+  return m ? toText(m[1]) : "";
+}
+
+// "Spec Sheet Checklist" items (<section id="checklist">), as plain text
+function getChecklist(html) {
+  const m = html.match(/<section\b[^>]*\bid=["']checklist["'][^>]*>([\s\S]*?)<\/section>/i);
+  if (!m) return [];
+  return [...m[1].matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi)].map((li) => toText(li[1])).filter(Boolean);
+}
+
+// First table on the page (the "typical ranges" table on spec pages that have one),
+// captioned by the <h2> of the section that contains it.
+function getRanges(html) {
+  const t = html.match(/<table\b[^>]*>([\s\S]*?)<\/table>/i);
+  if (!t) return null;
+
+  const before = html.slice(0, t.index);
+  const h2s = [...before.matchAll(/<h2[^>]*>([\s\S]*?)<\/h2>/gi)];
+  const heading = h2s.length ? toText(h2s[h2s.length - 1][1]) : "";
+
+  const cells = (rowHtml) =>
+    [...rowHtml.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map((c) => toText(c[1]));
+
+  const rows = [...t[1].matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map((r) => cells(r[1]));
+  const hasHead = /<thead\b/i.test(t[1]) || /^\s*<tr\b[^>]*>\s*<th\b/i.test(t[1]);
+  const columns = hasHead && rows.length ? rows.shift() : [];
+
+  return { heading, columns, rows: rows.filter((r) => r.length) };
+}
+
+// ── File traversal ────────────────────────────────────────────────────────────
+
+// materials/lvt/rigid-core/specs/construction/wear-layer.html
+//   → { material: "lvt", variant: "rigid-core", category: "construction", slug: "wear-layer" }
+// materials/laminate/specs/performance/ac-rating.html      → variant: null
+// materials/carpet/carpet-tile/specs/tile-size.html         → category: null
+function parseSpecPath(filePath) {
+  const parts = path.relative(MATERIALS_DIR, filePath).split(path.sep);
+  const file = parts.pop();
+  if (file === "index.html" || !file.endsWith(".html")) return null;
+
+  const specsAt = parts.indexOf("specs");
+  if (specsAt < 1 || specsAt > 2) return null;
+
+  const before = parts.slice(0, specsAt);
+  const after = parts.slice(specsAt + 1);
+  if (after.length > 1) return null;
+
+  return {
+    material: before[0],
+    variant: before[1] || null,
+    category: after[0] || null,
+    slug: file.replace(/\.html$/, ""),
+  };
+}
+
+// ── Entry builder ─────────────────────────────────────────────────────────────
+
+function buildEntry(filePath) {
+  const loc = parseSpecPath(filePath);
+  if (!loc) return null;
+
+  const html = unwrapMeasures(fs.readFileSync(filePath, "utf8"));
+  if (isRedirectStub(html)) return null;
+
+  const { title, subtitle } = getHeading(html);
+  if (!title) return null;
+
+  return {
+    url: fileToUrl(filePath),
+    ...loc,
+    title,
+    label: toSpecLabel(title, loc),
+    subtitle,
+    description: getMetaDescription(html),
+    quickAnswer: getQuickAnswer(html),
+    faq: getVisibleFaq(html),
+    ranges: getRanges(html),
+    checklist: getChecklist(html),
+  };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const entries = [];
+
+  for (const f of walk(MATERIALS_DIR)) {
+    const entry = buildEntry(f);
+    if (entry) entries.push(entry);
+  }
+
+  entries.sort((a, b) => a.url.localeCompare(b.url));
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(entries, null, 2) + "\n", "utf8");
+
+  const missing = entries.filter((e) => !e.quickAnswer || !e.faq.length);
+  console.log(`✅ Wrote ${entries.length} spec entries to ${path.relative(ROOT, OUT_FILE)}`);
+  for (const e of missing) {
+    console.warn(`⚠️  ${e.url}: missing ${!e.quickAnswer ? "quick answer" : "FAQ"}`);
+  }
+}
+
+main();
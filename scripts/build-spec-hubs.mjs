@@ -0,0 +1,273 @@
+// scripts/build-spec-hubs.mjs
+// Generates a cross-material hub at /specs/<slug>/ for every spec that exists
+// on more than one material or variant (same file name under different
+// specs/ folders), from /data/specs.json: each version's Quick answer and
+// ranges table side by side, linking to the full pages. /specs/ lists them.
+// New pages get the full template; existing ones only have the block between
+// the spec-hub markers replaced.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-spec-hubs.mjs
+
+import fs from "fs";
+import path from "path";
+import { groupByCategory, groupBySlug, loadCatalog } from "./lib/catalog.mjs";
+import { escapeHtml, replaceBlock, unwrapMeasures } from "./lib/html.mjs";
+import { getGroupLabel, titleCase } from "./lib/labels.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { ROOT, SITE_NAME } from "./lib/pages.mjs";
+
+const SPECS_DIR = path.join(ROOT, "specs");
+
+const START_MARKER = "<!-- spec-hub:start (generated by scripts/build-spec-hubs.mjs) -->";
+const END_MARKER = "<!-- spec-hub:end -->";
+
+// A spec on one page has nothing to compare
+const MIN_VERSIONS = 2;
+
+// Same order as the homepage's material list
+const MATERIAL_ORDER = ["lvt", "laminate", "hardwood", "carpet"];
+
+// The value most versions use; ties go to the shorter one ("Thickness" over
+// "Board Thickness")
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()]
+    .sort(([a, x], [b, y]) => y - x || a.length - b.length || a.localeCompare(b))[0]?.[0] || null;
+}
+
+function materialRank(e) {
+  const i = MATERIAL_ORDER.indexOf(e.material);
+  return i === -1 ? MATERIAL_ORDER.length : i;
+}
+
+// slug → hub, for specs with enough versions
+function buildHubs(catalog) {
+  return [...groupBySlug(catalog).entries()]
+    .filter(([, versions]) => versions.length >= MIN_VERSIONS)
+    .map(([slug, versions]) => ({
+      slug,
+      url: `/specs/${slug}/`,
+      label: mostCommon(versions.map((e) => e.label)) || titleCase(slug),
+      category: mostCommon(versions.map((e) => e.category)),
+      versions: versions
+        .map((e) => ({ ...e, group: getGroupLabel(e.material, e.variant) || titleCase(e.variant || e.material) }))
+        .sort((a, b) => materialRank(a) - materialRank(b) || a.url.localeCompare(b.url)),
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function versionId(e) {
+  return e.variant ? `${e.material}-${e.variant}` : e.material;
+}
+
+// ── Hub pages ─────────────────────────────────────────────────────────────────
+
+function renderRanges(ranges) {
+  if (!ranges?.rows?.length) return [];
+  const head = ranges.columns.length
+    ? [
+        `            <thead class="bg-slate-100 text-slate-700">`,
+        `              <tr>`,
+        ...ranges.columns.map((c) => `                <th class="px-4 py-3 text-left font-semibold">${escapeHtml(c)}</th>`),
+        `              </tr>`,
+        `            </thead>`,
+      ]
+    : [];
+  const rows = ranges.rows.map((row) => [
+    `              <tr>`,
+    ...row.map((cell) => `                <td class="px-4 py-3">${escapeHtml(cell)}</td>`),
+    `              </tr>`,
+  ].join("\n"));
+
+  return [
+    ...(ranges.heading ? [`        <h3 class="mt-6 text-lg font-semibold">${escapeHtml(ranges.heading)}</h3>`] : []),
+    `        <div class="mt-3 overflow-x-auto rounded-xl border border-slate-200 bg-white shadow-sm">`,
+    `          <table class="min-w-[580px] w-full text-sm">`,
+    ...head,
+    `            <tbody class="divide-y divide-slate-200">`,
+    rows.join("\n"),
+    `            </tbody>`,
+    `          </table>`,
+    `        </div>`,
+  ];
+}
+
+function renderVersion(e) {
+  return [
+    `      <section id="${escapeHtml(versionId(e))}" class="mt-10">`,
+    `        <h2 class="text-2xl font-bold"><a href="${escapeHtml(e.url)}" class="hover:underline">${escapeHtml(e.group)}</a></h2>`,
+    ...(e.quickAnswer
+      ? [
+          `        <div class="mt-4 rounded-xl border border-slate-200 bg-white p-5 shadow-sm max-w-3xl">`,
+          `          <div class="text-sm font-semibold text-slate-500">Quick answer</div>`,
+          `          <p class="mt-2 text-slate-800">${escapeHtml(e.quickAnswer)}</p>`,
+          `        </div>`,
+        ]
+      : []),
+    ...renderRanges(e.ranges),
+    `        <p class="mt-4 text-sm"><a href="${escapeHtml(e.url)}" class="text-blue-700 hover:underline">Full page: ${escapeHtml(e.group)} ${escapeHtml(e.label)} →</a></p>`,
+    `      </section>`,
+  ].join("\n");
+}
+
+function renderHubBlock(hub) {
+  const chips = hub.versions.map((e) =>
+    `        <a href="#${escapeHtml(versionId(e))}" class="rounded-lg border border-slate-200 bg-white px-3 py-2 hover:bg-slate-50">${escapeHtml(e.group)}</a>`
+  );
+
+  return [
+    START_MARKER,
+    `    <div>`,
+    `      <div class="mt-6 max-w-3xl flex flex-wrap gap-2 text-sm">`,
+    chips.join("\n"),
+    `      </div>`,
+    "",
+    hub.versions.map(renderVersion).join("\n\n"),
+    `    </div>`,
+    `    ${END_MARKER}`,
+  ].join("\n");
+}
+
+function renderHubPage(hub, block) {
+  const groups = hub.versions.map((e) => e.group);
+  const title = `${hub.label} Across Materials | ${SITE_NAME}`;
+  const description = `${hub.label} compared side by side for ${groups.join(", ")}: each version's quick answer and typical ranges, with links to the full pages — reference-only.`;
+
+  return renderShell({
+    title,
+    description,
+    heading: escapeHtml(hub.label),
+    subtitle: `Side by Side · ${groups.map(escapeHtml).join(" · ")}`,
+    intro: `The same spec means slightly different things on different floors. This page puts every version of <strong>${escapeHtml(hub.label.toLowerCase())}</strong> on the site next to each other, so you can see how the terms, test methods and typical ranges change from one material to the next. Each heading links to the full page. See <a href="/specs/" class="text-blue-700 hover:underline">all specs across materials</a>.`,
+    block,
+  });
+}
+
+// ── /specs/ index ─────────────────────────────────────────────────────────────
+
+function renderIndexBlock(hubs) {
+  const sections = groupByCategory(hubs)
+    .map(({ category, heading, items }) => [
+      `      <section id="${escapeHtml(category || "specs")}" class="mt-10">`,
+      `        <h2 class="text-2xl font-bold">${escapeHtml(heading)}</h2>`,
+      `        <ul class="mt-4 grid gap-4 sm:grid-cols-2">`,
+      items.map((hub) => [
+        `          <li class="rounded-xl border border-slate-200 bg-white p-5 shadow-sm">`,
+        `            <a href="${escapeHtml(hub.url)}" class="font-semibold hover:underline">${escapeHtml(hub.label)}</a>`,
+        `            <p class="mt-1 text-sm text-slate-600">${hub.versions.map((e) => escapeHtml(e.group)).join(" · ")}</p>`,
+        `          </li>`,
+      ].join("\n")).join("\n"),
+      `        </ul>`,
+      `      </section>`,
+    ].join("\n"));
+
+  return [
+    START_MARKER,
+    `    <div>`,
+    sections.join("\n\n"),
+    `    </div>`,
+    `    ${END_MARKER}`,
+  ].join("\n");
+}
+
+function renderIndexPage(block) {
+  return renderShell({
+    title: `Specs Across Materials | ${SITE_NAME}`,
+    description: "Flooring specs that apply to more than one material — thickness, wear layer, expansion gap, EPDs and more — each compared side by side across LVT, laminate, hardwood and carpet.",
+    heading: "Specs Across Materials",
+    subtitle: "LVT · Laminate · Hardwood · Carpet · Side by Side",
+    intro: "Many specs show up on more than one kind of floor. Each page below lines up every material's version of one spec: its quick answer, typical ranges and a link to the full page.",
+    block,
+  });
+}
+
+function renderShell({ title, description, heading, subtitle, intro, block }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+
+  <link rel="stylesheet" href="/tailwind.css">
+  <link rel="icon" href="/favicon.ico" type="image/x-icon">
+</head>
+
+<body class="bg-slate-50 text-slate-900">
+  <div id="site-header"></div>
+
+  <main class="mx-auto max-w-5xl px-4 py-10">
+    <section class="space-y-4">
+      <h1 class="text-3xl sm:text-4xl font-bold tracking-tight">${heading}
+        <span class="block text-slate-600 font-semibold text-xl sm:text-2xl mt-2">${subtitle}</span>
+      </h1>
+
+      <p class="text-slate-700 text-lg max-w-3xl">
+        ${intro}
+        <span class="text-slate-500"> Reference-only: no product recommendations.</span>
+      </p>
+    </section>
+
+    ${block}
+
+    <section class="mt-10 max-w-3xl">
+      <h2 class="text-lg font-semibold">Reference-Only Information</h2>
+      <p class="mt-2 text-sm text-slate-700">This page provides general informational reference about flooring specifications. It does not provide installation guidance, professional advice, or product recommendations.</p>
+    </section>
+  </main>
+
+  <div id="site-footer"></div>
+  <script src="/assets/js/site.js" defer></script>
+</body>
+</html>
+`;
+}
+
+// Write a new page, or only its block if it exists; → true if the file changed
+function writePage(file, block, renderPage) {
+  const rel = path.relative(ROOT, file);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderPage(block), "utf8");
+    return true;
+  }
+
+  const before = fs.readFileSync(file, "utf8");
+  const after = replaceBlock(before, block, START_MARKER, END_MARKER);
+  if (after === null) {
+    console.warn(`⚠️  ${rel}: no spec-hub markers, skipped`);
+    return false;
+  }
+  if (unwrapMeasures(after) === unwrapMeasures(before)) return false;
+  fs.writeFileSync(file, after, "utf8");
+  return true;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const redirected = getRedirectSources();
+  const hubs = buildHubs(loadCatalog().filter((e) => !redirected.has(e.url)));
+
+  let written = 0;
+  for (const hub of hubs) {
+    const file = path.join(SPECS_DIR, hub.slug, "index.html");
+    if (writePage(file, renderHubBlock(hub), (block) => renderHubPage(hub, block))) written++;
+  }
+  if (writePage(path.join(SPECS_DIR, "index.html"), renderIndexBlock(hubs), renderIndexPage)) written++;
+
+  // Hubs whose spec dropped to one page aren't removed automatically: the URL
+  // may need a redirect first
+  const current = new Set(hubs.map((h) => h.slug));
+  for (const e of fs.existsSync(SPECS_DIR) ? fs.readdirSync(SPECS_DIR, { withFileTypes: true }) : []) {
+    if (e.isDirectory() && !current.has(e.name)) {
+      console.warn(`⚠️  specs/${e.name}/: fewer than ${MIN_VERSIONS} versions of this spec, left as is`);
+    }
+  }
+
+  console.log(`✅ Spec hubs: ${written} of ${hubs.length + 1} file(s) written`);
+}
+
+main();
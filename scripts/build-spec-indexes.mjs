@@ -0,0 +1,130 @@
+// scripts/build-spec-indexes.mjs
+// Regenerates the "Full Spec Index" blocks on every materials/**/specs/index.html
+// from /data/specs.json, so the lists always match the spec pages on disk.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-spec-indexes.mjs
+
+import fs from "fs";
+import path from "path";
+import { groupByCategory, loadCatalog } from "./lib/catalog.mjs";
+import { escapeHtml, replaceBlock } from "./lib/html.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { ROOT, walk, fileToUrl, urlToFile } from "./lib/pages.mjs";
+
+const MATERIALS_DIR = path.join(ROOT, "materials");
+
+const START_MARKER = "<!-- spec-index:start (generated by scripts/build-spec-indexes.mjs) -->";
+const END_MARKER = "<!-- spec-index:end -->";
+
+const CATEGORY_NOTES = {
+  warranty: "Warranty terms vary by manufacturer. These pages explain common warranty language, not a specific claim.",
+};
+
+// The checklist packet (scripts/build-checklists.mjs) sits next to specs/
+function getChecklistUrl(indexUrl) {
+  const url = indexUrl.replace(/specs\/$/, "checklist/");
+  return fs.existsSync(urlToFile(url)) ? url : null;
+}
+
+function renderBlock(indexUrl, groups, checklistUrl) {
+  const cards = groups.map(({ category, heading, items }) => {
+    const links = items.map((e) => {
+      const href = `./${e.url.slice(indexUrl.length)}`;
+      return `            <li><a class="text-blue-700 hover:underline" href="${escapeHtml(href)}">${escapeHtml(e.label)}</a></li>`;
+    });
+    const note = CATEGORY_NOTES[category]
+      ? [`          <p class="mt-3 text-sm text-slate-600">${escapeHtml(CATEGORY_NOTES[category])}</p>`]
+      : [];
+
+    // Category cards carry the folder name as an id so breadcrumbs can deep-link to them
+    const id = category ? ` id="${escapeHtml(category)}"` : "";
+
+    return [
+      `        <div${id} class="rounded-2xl border border-slate-200 p-6">`,
+      `          <h3 class="text-lg font-semibold mb-3">${escapeHtml(heading)}</h3>`,
+      `          <ul class="grid sm:grid-cols-2 gap-y-2 gap-x-6 text-slate-800">`,
+      ...links,
+      `          </ul>`,
+      ...note,
+      `        </div>`,
+    ].join("\n");
+  });
+
+  const packet = checklistUrl
+    ? [`      <p class="mb-6 text-sm text-slate-700">Reviewing a spec sheet? <a class="text-blue-700 hover:underline" href="${escapeHtml(checklistUrl)}">Open every checklist on one printable page</a>.</p>`]
+    : [];
+
+  return [
+    START_MARKER,
+    ...packet,
+    `      <div class="grid gap-6">`,
+    cards.join("\n\n"),
+    `      </div>`,
+    `      ${END_MARKER}`,
+  ].join("\n");
+}
+
+// Spec labels come from each page's <h1> (scripts/build-spec-catalog.mjs). One
+// that shares no word with the file name is almost always an <h1> copied from
+// another page, and the index would list the page under the wrong name.
+function findLabelMismatches(catalog) {
+  const words = (s) => s.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return catalog.filter((e) => {
+    const label = words(e.label);
+    return !words(e.slug).some((w) => label.some((l) => l.startsWith(w) || w.startsWith(l)));
+  });
+}
+
+// Replace between markers; on first run, replace everything after the
+// "Full Spec Index" heading up to the end of its <section>.
+function insertBlock(html, block) {
+  const replaced = replaceBlock(html, block, START_MARKER, END_MARKER);
+  if (replaced !== null) return replaced;
+
+  const h2 = html.match(/<h2[^>]*>\s*Full Spec Index\s*<\/h2>/i);
+  if (!h2) return null;
+  const from = h2.index + h2[0].length;
+  const close = html.indexOf("</section>", from);
+  if (close === -1) return null;
+
+  return html.slice(0, from) + "\n\n      " + block + "\n    " + html.slice(close);
+}
+
+function main() {
+  const redirected = getRedirectSources();
+  const catalog = loadCatalog().filter((e) => !redirected.has(e.url));
+
+  const mismatched = findLabelMismatches(catalog);
+  if (mismatched.length) {
+    console.error(`❌ ${mismatched.length} spec page(s) whose <h1> doesn't match the file name:`);
+    for (const e of mismatched) console.error(`- ${path.relative(ROOT, urlToFile(e.url))}: "${e.label}"`);
+    process.exit(1);
+  }
+
+  let changed = 0;
+  let scanned = 0;
+
+  for (const filePath of walk(MATERIALS_DIR)) {
+    if (!filePath.endsWith(path.join("specs", "index.html"))) continue;
+
+    const indexUrl = fileToUrl(filePath);
+    const entries = catalog.filter((e) => e.url.startsWith(indexUrl));
+    if (!entries.length) continue;
+
+    const before = fs.readFileSync(filePath, "utf8");
+    const after = insertBlock(before, renderBlock(indexUrl, groupByCategory(entries), getChecklistUrl(indexUrl)));
+    scanned++;
+
+    if (after === null) {
+      console.warn(`⚠️  ${path.relative(ROOT, filePath)}: no "Full Spec Index" section, skipped`);
+      continue;
+    }
+    if (after !== before) {
+      fs.writeFileSync(filePath, after, "utf8");
+      changed++;
+    }
+  }
+
+  console.log(`✅ Spec indexes regenerated: ${changed} of ${scanned} file(s) changed`);
+}
+
+main();
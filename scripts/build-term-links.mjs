@@ -0,0 +1,67 @@
+// scripts/build-term-links.mjs
+// Links the first mention of other specs in a spec page's body copy ("core
+// type", "traffic class", "Janka") to the page that explains them. Terms come
+// from /data/specs.json (each spec's label and slug) and /data/glossary.json
+// (terms, abbreviations and synonyms that point at a spec page or hub).
+//   - targets stay in the page's own material / variant where that spec exists
+//     there, then the material's shared specs, then the /specs/<slug>/ hub;
+//     glossary terms go to the page the glossary names, or its hub from
+//     another material or variant
+//   - one-word terms ("Janka", "Gauge") only link within the same material,
+//     where their meaning is unambiguous; abbreviations must match their case
+//   - only <p>, <li> and <dd> copy in <main>: headings, existing links, FAQ
+//     <details> (the FAQ schema is built from them) and navigation are skipped,
+//     as are the page's own spec and anything it already links to
+// The linking itself is in scripts/lib/term-links.mjs.
+// Generated links carry data-term-link and are redone on every run, so edits
+// to the copy or the term lists are picked up.
+// Run: node scripts/build-spec-catalog.mjs && node scripts/build-term-links.mjs
+
+import fs from "fs";
+import path from "path";
+import { loadCatalog } from "./lib/catalog.mjs";
+import { unwrapMeasures } from "./lib/html.mjs";
+import { getRedirectSources } from "./lib/redirects.mjs";
+import { ROOT, urlToFile } from "./lib/pages.mjs";
+import { buildContext, linkMain, unwrapTermLinks } from "./lib/term-links.mjs";
+
+const SPECS_DIR = path.join(ROOT, "specs");
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const redirected = getRedirectSources();
+  const catalog = loadCatalog().filter((e) => !redirected.has(e.url));
+  const hubs = new Set(
+    fs.existsSync(SPECS_DIR)
+      ? fs.readdirSync(SPECS_DIR, { withFileTypes: true }).filter((e) => e.isDirectory()).map((e) => e.name)
+      : []
+  );
+
+  const ctx = buildContext(catalog, hubs);
+
+  let changed = 0;
+  let links = 0;
+
+  for (const page of catalog) {
+    const file = urlToFile(page.url);
+    if (!fs.existsSync(file)) continue;
+
+    const before = fs.readFileSync(file, "utf8");
+    const html = unwrapTermLinks(before);
+    const m = html.match(/(<main\b[^>]*>)([\s\S]*?)(<\/main>)/i);
+    if (!m) continue;
+
+    const r = linkMain(m[2], page, ctx);
+    links += r.count;
+    const after = html.slice(0, m.index) + m[1] + r.main + m[3] + html.slice(m.index + m[0].length);
+    if (unwrapMeasures(after) !== unwrapMeasures(before)) {
+      fs.writeFileSync(file, after, "utf8");
+      changed++;
+    }
+  }
+
+  console.log(`✅ Term links: ${links} link(s) from ${ctx.terms.size} term(s) on ${catalog.length} page(s), ${changed} file(s) changed`);
+}
+
+main();
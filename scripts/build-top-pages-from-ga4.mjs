@@ -10,11 +10,7 @@
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, "..");
+import { ROOT } from "./lib/pages.mjs";
 
 const PROPERTY_ID = process.env.GA4_PROPERTY_ID;
 const SA_JSON = process.env.GA4_SERVICE_ACCOUNT_JSON;
@@ -117,9 +113,11 @@ function loadSearchIndex() {
   const raw = fs.readFileSync(SEARCH_INDEX_PATH, "utf8");
   const idx = JSON.parse(raw);
 
-  // Map normalized URL -> entry
+  // Map normalized URL -> entry (result entries live under "docs";
+  // section entries share their page's URL up to the #hash, so skip them)
   const map = new Map();
-  for (const item of idx) {
+  for (const item of idx.docs || []) {
+    if (item.page) continue;
     const u = normalizePath(item.url);
     map.set(u, item);
   }
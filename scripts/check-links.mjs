@@ -1,21 +1,14 @@
 // scripts/check-links.mjs
-// Fails the build if any internal links point to missing pages/files.
+// Fails the build if any internal reference is broken: <a href> pages and
+// their #fragments, plus <link href>, <script src> and <img src> assets.
+// Scans every page (the sections and root pages in site.config.mjs).
 // Run: node scripts/check-links.mjs
+//      node scripts/check-links.mjs --json [report.json]   (JSON report; stdout if no file)
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, "..");
-
-// What to scan (adjust if you want)
-const INCLUDE_DIRS = ["materials", "specs"];
-const INCLUDE_ROOT_FILES = ["index.html"];
-
-// Skip crawling these directories
-const SKIP_DIRS = new Set(["assets", "data", "scripts", ".netlify", ".git", "node_modules"]);
+import { getAttr, stripQueryAndHash, stripScripts } from "./lib/html.mjs";
+import { ROOT, SITE_ORIGIN, collectHtmlFiles, fileToUrl, isExternalUrl, isFile, urlToCandidateFiles } from "./lib/pages.mjs";
 
 // Ignore these href patterns
 const IGNORE_HREF_PREFIXES = [
@@ -30,102 +23,51 @@ const IGNORE_PATH_PREFIXES = [
   // "/search/",
 ];
 
-function* walk(dirPath) {
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-  for (const e of entries) {
-    const full = path.join(dirPath, e.name);
-    if (e.isDirectory()) {
-      if (SKIP_DIRS.has(e.name)) continue;
-      yield* walk(full);
-    } else {
-      yield full;
-    }
-  }
-}
-
-// Convert a file path to its site URL path (similar to your other scripts)
-function fileToUrl(filePath) {
-  const rel = path.relative(ROOT, filePath).split(path.sep).join("/");
-
-  if (rel === "index.html") return "/";
+// Every reference on the page: { kind: "a" | "link" | "script" | "img", ref }
+function getReferences(html) {
+  const refs = [];
 
-  if (rel.endsWith("/index.html")) {
-    const dir = rel.replace(/index\.html$/, "");
-    return `/${dir}`; // already ends with /
+  // Opening <script src> tags, before inline scripts are stripped
+  for (const m of html.matchAll(/<script\b[^>]*>/gi)) {
+    const src = getAttr(m[0], "src");
+    if (src) refs.push({ kind: "script", ref: src });
   }
 
-  return `/${rel}`; // keep .html for non-index pages
-}
-
-function stripQueryAndHash(href) {
-  // remove ?query and #hash
-  const q = href.indexOf("?");
-  const h = href.indexOf("#");
-  const cut = (q === -1) ? h : (h === -1 ? q : Math.min(q, h));
-  return cut === -1 ? href : href.slice(0, cut);
+  for (const m of stripScripts(html).matchAll(/<(a|link|img)\b[^>]*>/gi)) {
+    const kind = m[1].toLowerCase();
+    const ref = getAttr(m[0], kind === "img" ? "src" : "href");
+    if (ref) refs.push({ kind, ref });
+  }
+  return refs;
 }
 
-function isExternalHref(href) {
-  return /^https?:\/\//i.test(href) || /^\/\//.test(href);
+// id="..." anywhere on the page, plus legacy <a name="...">
+function getIds(html) {
+  const ids = new Set();
+  for (const m of html.matchAll(/\sid\s*=\s*(["'])(.*?)\1/gi)) ids.add(m[2]);
+  for (const m of html.matchAll(/<a\b[^>]*\sname\s*=\s*(["'])(.*?)\1/gi)) ids.add(m[2]);
+  return ids;
 }
 
-function getHrefTargets(html) {
-  // Strip script and style blocks first to avoid matching template literals inside JS
-  const stripped = html
-    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, "")
-    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, "");
-  // Very small anchor href extractor (good enough for static HTML)
-  // Matches href="..." and href='...'
-  const hrefs = [];
-  const re = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1/gi;
-  let m;
-  while ((m = re.exec(stripped)) !== null) {
-    const href = (m[2] || "").trim();
-    if (href) hrefs.push(href);
-  }
-  return hrefs;
+const idCache = new Map();
+function readIds(filePath) {
+  if (!idCache.has(filePath)) idCache.set(filePath, getIds(fs.readFileSync(filePath, "utf8")));
+  return idCache.get(filePath);
 }
 
-function exists(p) {
+function getFragment(href) {
+  const h = href.indexOf("#");
+  if (h === -1) return "";
   try {
-    return fs.existsSync(p) && fs.statSync(p).isFile();
+    return decodeURIComponent(href.slice(h + 1));
   } catch {
-    return false;
+    return href.slice(h + 1);
   }
 }
 
-function urlPathToCandidateFiles(urlPath) {
-  // urlPath is like "/materials/lvt/" or "/materials/lvt/specs/wear-layer.html"
-  // Return an array of possible filesystem targets.
-  if (!urlPath.startsWith("/")) return [];
-
-  // Normalize: ensure leading slash, collapse double slashes
-  let p = urlPath.replace(/\/{2,}/g, "/");
-
-  // Root
-  if (p === "/") return [path.join(ROOT, "index.html")];
-
-  // If ends with "/" -> directory index.html
-  if (p.endsWith("/")) {
-    return [path.join(ROOT, p.slice(1), "index.html")];
-  }
-
-  // If has extension -> direct file
-  if (path.extname(p)) {
-    return [path.join(ROOT, p.slice(1))];
-  }
-
-  // No trailing slash and no extension:
-  // could be "/x/y/" (index) or "/x/y.html"
-  return [
-    path.join(ROOT, p.slice(1) + ".html"),
-    path.join(ROOT, p.slice(1), "index.html"),
-  ];
-}
-
 function resolveHrefToPathname(href, pageUrlPath) {
-  // Ignore empty or just hashes
-  if (!href || href === "#") return null;
+  // Ignore empty or just hashes (same-page fragments are checked separately)
+  if (!href || href.startsWith("#")) return null;
 
   // Ignore mailto/tel/etc
   for (const pre of IGNORE_HREF_PREFIXES) {
@@ -133,17 +75,14 @@ function resolveHrefToPathname(href, pageUrlPath) {
   }
 
   // Ignore external
-  if (isExternalHref(href)) return null;
+  if (isExternalUrl(href)) return null;
 
   // Strip query/hash for file existence checking
   const clean = stripQueryAndHash(href);
   if (!clean) return null;
 
-  // Ignore special cases
-  if (clean.startsWith("#")) return null;
-
   // Resolve relative -> absolute pathname using a fake origin
-  const base = new URL(pageUrlPath, "https://floorref.com");
+  const base = new URL(pageUrlPath, SITE_ORIGIN);
   const resolved = new URL(clean, base);
   const pathname = resolved.pathname;
 
@@ -153,63 +92,91 @@ function resolveHrefToPathname(href, pageUrlPath) {
   return pathname;
 }
 
-function collectHtmlFiles() {
-  const files = [];
+function parseArgs(argv) {
+  const i = argv.indexOf("--json");
+  if (i === -1) return { json: false, reportFile: null };
+  const next = argv[i + 1];
+  return { json: true, reportFile: next && !next.startsWith("--") ? next : null };
+}
+
+function checkPage(filePath) {
+  const html = fs.readFileSync(filePath, "utf8");
+  const pageUrlPath = fileToUrl(filePath);
+  const fromFile = path.relative(ROOT, filePath).split(path.sep).join("/");
+  const broken = [];
+  let checked = 0;
+
+  for (const { kind, ref } of getReferences(html)) {
+    const fragment = kind === "a" ? getFragment(ref) : "";
 
-  for (const d of INCLUDE_DIRS) {
-    const p = path.join(ROOT, d);
-    if (!fs.existsSync(p) || !fs.statSync(p).isDirectory()) continue;
-    for (const f of walk(p)) {
-      if (f.toLowerCase().endsWith(".html")) files.push(f);
+    // Same-page fragment
+    if (ref.startsWith("#")) {
+      if (!fragment) continue;
+      checked++;
+      if (!readIds(filePath).has(fragment)) {
+        broken.push({ fromFile, fromUrl: pageUrlPath, kind, href: ref, resolvedPath: pageUrlPath, reason: "missing-fragment", tried: [fromFile] });
+      }
+      continue;
     }
-  }
 
-  for (const f of INCLUDE_ROOT_FILES) {
-    const p = path.join(ROOT, f);
-    if (fs.existsSync(p) && fs.statSync(p).isFile()) files.push(p);
+    const pathname = resolveHrefToPathname(ref, pageUrlPath);
+    if (!pathname) continue;
+
+    const candidates = urlToCandidateFiles(pathname);
+    if (!candidates.length) continue;
+    checked++;
+
+    const target = candidates.find(isFile);
+    const tried = candidates.map((p) => path.relative(ROOT, p).split(path.sep).join("/"));
+
+    if (!target) {
+      broken.push({ fromFile, fromUrl: pageUrlPath, kind, href: ref, resolvedPath: pathname, reason: "missing-file", tried });
+      continue;
+    }
+
+    if (fragment && target.toLowerCase().endsWith(".html") && !readIds(target).has(fragment)) {
+      broken.push({ fromFile, fromUrl: pageUrlPath, kind, href: ref, resolvedPath: `${pathname}#${fragment}`, reason: "missing-fragment", tried });
+    }
   }
 
-  return files;
+  return { broken, checked };
 }
 
 function main() {
-  const htmlFiles = collectHtmlFiles();
+  const { json, reportFile } = parseArgs(process.argv.slice(2));
+  const htmlFiles = collectHtmlFiles().sort();
   const broken = [];
+  let checked = 0;
 
   for (const filePath of htmlFiles) {
-    const html = fs.readFileSync(filePath, "utf8");
-    const pageUrlPath = fileToUrl(filePath);
-
-    const hrefs = getHrefTargets(html);
-
-    for (const href of hrefs) {
-      const pathname = resolveHrefToPathname(href, pageUrlPath);
-      if (!pathname) continue;
-
-      const candidates = urlPathToCandidateFiles(pathname);
-
-      // If no candidates, skip
-      if (!candidates.length) continue;
-
-      const ok = candidates.some(exists);
+    const r = checkPage(filePath);
+    broken.push(...r.broken);
+    checked += r.checked;
+  }
 
-      if (!ok) {
-        broken.push({
-          fromFile: path.relative(ROOT, filePath).split(path.sep).join("/"),
-          fromUrl: pageUrlPath,
-          href,
-          resolvedPath: pathname,
-          tried: candidates.map((p) => path.relative(ROOT, p).split(path.sep).join("/")),
-        });
-      }
+  if (json) {
+    const report = {
+      ok: broken.length === 0,
+      pages: htmlFiles.length,
+      checked,
+      broken,
+    };
+    const out = JSON.stringify(report, null, 2) + "\n";
+    if (reportFile) {
+      fs.writeFileSync(path.resolve(reportFile), out, "utf8");
+      console.log(`${broken.length ? "❌" : "✅"} Link report written to ${reportFile} (${broken.length} broken)`);
+    } else {
+      process.stdout.write(out);
     }
+    if (broken.length) process.exit(1);
+    return;
   }
 
   if (broken.length) {
-    console.error(`\n❌ Broken internal links found: ${broken.length}\n`);
+    console.error(`\n❌ Broken internal references found: ${broken.length}\n`);
     for (const b of broken.slice(0, 200)) {
       console.error(`- From: ${b.fromFile} (${b.fromUrl})`);
-      console.error(`  Link: ${b.href}`);
+      console.error(`  ${b.reason === "missing-fragment" ? "Missing anchor" : "Missing target"} (<${b.kind}>): ${b.href}`);
       console.error(`  Resolved: ${b.resolvedPath}`);
       console.error(`  Tried: ${b.tried.join(" OR ")}`);
       console.error("");
@@ -220,7 +187,7 @@ function main() {
     process.exit(1); // <-- fail deploy
   }
 
-  console.log(`✅ Link check passed (${htmlFiles.length} pages scanned)`);
+  console.log(`✅ Link check passed (${checked} references in ${htmlFiles.length} pages)`);
 }
 
 main();
@@ -0,0 +1,146 @@
+// scripts/check-redirects.mjs
+// Fails the build if _redirects and the site disagree:
+//   1. every redirect target exists
+//   2. no redirect points at another redirect (chains) or back at itself (loops)
+//   3. no redirect source is listed in the sitemap or the search index
+//   4. no page links internally to a redirected URL
+// Run: node scripts/check-redirects.mjs (after build-sitemap and build-search-index)
+
+import fs from "fs";
+import path from "path";
+import { getAttr, isRedirectStub, stripQueryAndHash, stripScripts } from "./lib/html.mjs";
+import { readRedirects, findRedirect, isPattern } from "./lib/redirects.mjs";
+import { ROOT, SITE_ORIGIN, collectHtmlFiles, fileToUrl, isExternalUrl, isFile, urlToCandidateFiles } from "./lib/pages.mjs";
+
+const SITEMAP_FILE_RE = /^sitemap(?:-\d+)?\.xml$/;
+// Pages, then their sections
+const SEARCH_FILES = ["search-index.json", "search-sections.json"];
+
+// A chain longer than this is reported as a loop
+const MAX_HOPS = 10;
+
+function toPathname(url) {
+  return url.toLowerCase().startsWith(SITE_ORIGIN) ? new URL(url).pathname : url;
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+// 1. Targets exist. Targets built from placeholders depend on the request,
+//    so only fully literal targets are checked.
+function checkTargets(rules) {
+  const problems = [];
+  for (const rule of rules) {
+    if (isExternalUrl(rule.to) || /:[a-z_]+|\*/i.test(rule.to)) continue;
+    const target = stripQueryAndHash(toPathname(rule.to));
+    const candidates = urlToCandidateFiles(target);
+    const file = candidates.find(isFile);
+    if (!file) {
+      problems.push(`line ${rule.line}: ${rule.from} → ${rule.to}: target does not exist`);
+    } else if (isRedirectStub(fs.readFileSync(file, "utf8"))) {
+      problems.push(`line ${rule.line}: ${rule.from} → ${rule.to}: target is a meta-refresh stub`);
+    }
+  }
+  return problems;
+}
+
+// 2. Chains and loops: follow each rule's target through the rules again
+function checkChains(rules) {
+  const problems = [];
+  for (const rule of rules) {
+    if (isPattern(rule.from) || isExternalUrl(rule.to)) continue;
+
+    const hops = [rule.from, rule.to];
+    let next = findRedirect(stripQueryAndHash(toPathname(rule.to)), rules);
+    while (next) {
+      if (hops.includes(next.to) || hops.length > MAX_HOPS) {
+        problems.push(`line ${rule.line}: loop ${[...hops, next.to].join(" → ")}`);
+        break;
+      }
+      hops.push(next.to);
+      next = findRedirect(stripQueryAndHash(next.to), rules);
+    }
+    if (!next && hops.length > 2) {
+      problems.push(`line ${rule.line}: chain ${hops.join(" → ")} (point ${rule.from} straight at ${hops[hops.length - 1]})`);
+    }
+  }
+  return problems;
+}
+
+// 3. Sitemap and search index only list final URLs
+function checkListings(rules) {
+  const problems = [];
+
+  // sitemap.xml, plus its parts once build-sitemap splits it into an index
+  for (const name of fs.readdirSync(ROOT).filter((f) => SITEMAP_FILE_RE.test(f))) {
+    const xml = fs.readFileSync(path.join(ROOT, name), "utf8");
+    for (const m of xml.matchAll(/<url>\s*<loc>\s*([^<]+?)\s*<\/loc>/gi)) {
+      const hit = findRedirect(toPathname(m[1]), rules);
+      if (hit) problems.push(`${name} lists ${m[1]} (redirects to ${hit.to})`);
+    }
+  }
+
+  for (const name of SEARCH_FILES) {
+    if (!isFile(path.join(ROOT, name))) continue;
+    const index = JSON.parse(fs.readFileSync(path.join(ROOT, name), "utf8"));
+    for (const doc of index.docs || []) {
+      const hit = findRedirect(stripQueryAndHash(doc.url), rules);
+      if (hit) problems.push(`${name} lists ${doc.url} (redirects to ${hit.to})`);
+    }
+  }
+
+  return problems;
+}
+
+// 4. Internal links go straight to the final URL. Redirect stubs themselves
+//    are skipped: they exist to point at the new page.
+function checkLinks(rules) {
+  const problems = [];
+
+  for (const filePath of collectHtmlFiles()) {
+    const html = fs.readFileSync(filePath, "utf8");
+    if (isRedirectStub(html)) continue;
+
+    const pageUrl = fileToUrl(filePath);
+    for (const m of stripScripts(html).matchAll(/<a\b[^>]*>/gi)) {
+      const href = getAttr(m[0], "href");
+      if (!href || href.startsWith("#") || /^(mailto|tel|javascript):/i.test(href) || isExternalUrl(href)) continue;
+
+      const pathname = new URL(stripQueryAndHash(href) || pageUrl, new URL(pageUrl, SITE_ORIGIN)).pathname;
+      const hit = findRedirect(pathname, rules);
+      if (hit) {
+        problems.push(`${path.relative(ROOT, filePath).split(path.sep).join("/")}: links to ${href} (redirects to ${hit.to})`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const rules = readRedirects();
+
+  const sections = [
+    ["Missing redirect targets", checkTargets(rules)],
+    ["Redirect chains / loops", checkChains(rules)],
+    ["Redirect sources listed in sitemap / search", checkListings(rules)],
+    ["Internal links to redirected URLs", checkLinks(rules)],
+  ];
+
+  const total = sections.reduce((n, [, problems]) => n + problems.length, 0);
+  if (total) {
+    for (const [title, problems] of sections) {
+      if (!problems.length) continue;
+      console.error(`\n❌ ${title}: ${problems.length}`);
+      for (const p of problems.slice(0, 100)) console.error(`- ${p}`);
+      if (problems.length > 100) console.error(`(Showing first 100 of ${problems.length})`);
+    }
+    console.error("");
+    process.exit(1);
+  }
+
+  console.log(`✅ Redirects OK (${rules.length} rules checked)`);
+}
+
+main();
@@ -0,0 +1,324 @@
+// scripts/dev-server.mjs
+// Local preview of dist/ with Netlify's serving rules: _redirects (including
+// ":name" and ":splat" placeholders, shadowing and "!" forcing), pretty URLs
+// and 404.html for missing paths. Builds dist/ on start, then watches the
+// published files: a change is copied into dist/, HTML gets its social meta
+// again, pages under materials/ are re-indexed into the search index, and
+// open pages reload. GA4 is left out so local views aren't tracked.
+// Other generated pages (spec indexes, checklists, sitemap) need `npm run build`.
+// Run: npm run dev   (PORT=8888 by default)
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { execFileSync } from "child_process";
+import { isRedirectStub } from "./lib/html.mjs";
+import {
+  ROOT, DIST_DIR, SITE_ORIGIN, config,
+  collectListedPages, fileToUrl, isErrorPage, isFile, isPublished, isSearchable,
+} from "./lib/pages.mjs";
+import { parseRedirects, matchRule } from "./lib/redirects.mjs";
+import { SEARCH_INDEX_FILE, SEARCH_SECTIONS_FILE, buildEntry, writeSearchIndex } from "./lib/search-index.mjs";
+import { injectSocialMeta } from "./lib/social-meta.mjs";
+
+const PORT = Number(process.env.PORT || 8888);
+const MATERIALS_DIR = path.join(ROOT, "materials");
+
+// Editors save in bursts (temp file, rename, chmod); rebuild once they settle
+const DEBOUNCE_MS = 150;
+
+const EVENTS_PATH = "/__dev/events";
+const RELOAD_SCRIPT = `<script>new EventSource("${EVENTS_PATH}").addEventListener("reload", () => location.reload());</script>`;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".pdf": "application/pdf",
+  ".woff2": "font/woff2",
+};
+
+// Swap and backup files editors leave next to the real one
+function isEditorTemp(rel) {
+  const base = path.basename(rel);
+  return base.startsWith(".") || base.endsWith("~") || /\.sw[a-p]$/.test(base);
+}
+
+// ── dist/ ─────────────────────────────────────────────────────────────────────
+
+let rules = [];
+
+function loadRedirects() {
+  const file = path.join(DIST_DIR, "_redirects");
+  rules = isFile(file) ? parseRedirects(fs.readFileSync(file, "utf8")) : [];
+}
+
+// What inject-social-meta.mjs does for the whole of dist/, for one page
+function renderHtml(src, dest) {
+  const html = fs.readFileSync(src, "utf8");
+  const url = fileToUrl(dest, DIST_DIR);
+  if (isRedirectStub(html) || isErrorPage(url)) return Buffer.from(html);
+  return Buffer.from(injectSocialMeta(html, url));
+}
+
+// Copy one changed path (file or folder) from the repo into dist/, or remove
+// it there if it's gone. Returns false when dist/ already had it, so our own
+// writes and repeated editor events don't reload pages twice.
+function publish(rel) {
+  const src = path.join(ROOT, rel);
+  const dest = path.join(DIST_DIR, rel);
+
+  if (!fs.existsSync(src)) {
+    if (!fs.existsSync(dest)) return false;
+    fs.rmSync(dest, { recursive: true, force: true });
+    return true;
+  }
+  if (fs.statSync(src).isDirectory()) {
+    fs.cpSync(src, dest, { recursive: true });
+    return true;
+  }
+
+  const out = src.toLowerCase().endsWith(".html") ? renderHtml(src, dest) : fs.readFileSync(src);
+  if (isFile(dest) && fs.readFileSync(dest).equals(out)) return false;
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.writeFileSync(dest, out);
+  return true;
+}
+
+// ── Search index ──────────────────────────────────────────────────────────────
+
+// url → entries from buildEntry, so a change only re-reads the pages it touched
+const indexed = new Map();
+
+function buildSearchIndex() {
+  for (const { file, url } of collectListedPages().filter(({ url }) => isSearchable(url))) {
+    const built = buildEntry(file, url);
+    if (built) indexed.set(url, built);
+  }
+  return writeSearchIndex([...indexed.values()].flat());
+}
+
+function reindex(rels) {
+  for (const rel of rels) {
+    const file = path.join(ROOT, rel);
+    const url = fileToUrl(file);
+    indexed.delete(url);
+    if (!isFile(file) || !isSearchable(url)) continue;
+    const built = buildEntry(file, url);
+    if (built) indexed.set(url, built);
+  }
+  writeSearchIndex([...indexed.values()].flat());
+  publish(path.relative(ROOT, SEARCH_INDEX_FILE));
+  publish(path.relative(ROOT, SEARCH_SECTIONS_FILE));
+}
+
+// ── Live reload ───────────────────────────────────────────────────────────────
+
+const clients = new Set();
+
+function reloadClients() {
+  for (const res of clients) res.write("event: reload\ndata: \n\n");
+}
+
+function handleEvents(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+  clients.add(res);
+  req.on("close", () => clients.delete(res));
+}
+
+// ── Watching ──────────────────────────────────────────────────────────────────
+
+const pending = new Set();
+let timer = null;
+
+function queue(rel) {
+  if (!rel || isEditorTemp(rel)) return;
+  pending.add(rel);
+  clearTimeout(timer);
+  timer = setTimeout(flush, DEBOUNCE_MS);
+}
+
+function flush() {
+  const rels = [...pending].filter(publishSafely);
+  pending.clear();
+  if (!rels.length) return;
+
+  try {
+    if (rels.includes("_redirects")) loadRedirects();
+
+    const pages = rels.filter((rel) => rel.toLowerCase().endsWith(".html") && path.join(ROOT, rel).startsWith(MATERIALS_DIR + path.sep));
+    if (pages.length) reindex(pages);
+
+    console.log(`↻ ${rels.length === 1 ? rels[0] : `${rels.length} files`}${pages.length ? " (search index updated)" : ""}`);
+    reloadClients();
+  } catch (err) {
+    console.error(`❌ Rebuild failed: ${err.message}`);
+  }
+}
+
+function publishSafely(rel) {
+  try {
+    return publish(rel);
+  } catch (err) {
+    console.error(`❌ ${rel}: ${err.message}`);
+    return false;
+  }
+}
+
+// One watcher per folder rather than fs.watch's recursive mode, which loses
+// track of files that editors replace on save (write to temp, then rename)
+const watched = new Set();
+
+function watchDir(dirPath) {
+  if (watched.has(dirPath)) return;
+  watched.add(dirPath);
+
+  const watcher = fs.watch(dirPath, (_, filename) => {
+    if (!filename) return;
+    const name = filename.toString();
+    const full = path.join(dirPath, name);
+    const isDir = fs.existsSync(full) && fs.statSync(full).isDirectory();
+
+    // New top-level folders aren't picked up until a restart
+    if (dirPath === ROOT) {
+      if (!isDir && isPublished(name, false)) queue(name);
+      return;
+    }
+    if (isDir) watchDir(full);
+    queue(path.relative(ROOT, full));
+  });
+  watcher.on("error", () => {
+    watcher.close();
+    watched.delete(dirPath);
+  });
+
+  for (const e of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (!e.isDirectory()) continue;
+    if (dirPath === ROOT && !isPublished(e.name, true)) continue;
+    watchDir(path.join(dirPath, e.name));
+  }
+}
+
+// ── Serving ───────────────────────────────────────────────────────────────────
+
+// The file Netlify would serve for a path as is: "/x/" → x/index.html,
+// "/x" → x or x.html
+function resolveFile(urlPath) {
+  const rel = path.normalize(urlPath).replace(/^[/\\]+/, "");
+  if (rel.startsWith("..")) return null;
+
+  const p = path.join(DIST_DIR, rel);
+  if (urlPath.endsWith("/")) return isFile(path.join(p, "index.html")) ? path.join(p, "index.html") : null;
+  if (isFile(p)) return p;
+  if (!path.extname(p) && isFile(`${p}.html`)) return `${p}.html`;
+  return null;
+}
+
+function send(res, status, filePath, headers = {}) {
+  const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+  let body = fs.readFileSync(filePath);
+  if (type.startsWith("text/html")) {
+    const html = body.toString("utf8");
+    const at = html.search(/<\/body\s*>/i);
+    body = at === -1 ? html + RELOAD_SCRIPT : html.slice(0, at) + RELOAD_SCRIPT + "\n" + html.slice(at);
+  }
+  res.writeHead(status, { "Content-Type": type, "Cache-Control": "no-store", ...headers });
+  res.end(body);
+}
+
+function sendNotFound(res) {
+  const page = path.join(DIST_DIR, config.errorPage);
+  if (isFile(page)) return send(res, 404, page);
+  res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end("Not found");
+}
+
+function redirect(res, status, location) {
+  res.writeHead(status, { Location: location, "Cache-Control": "no-store" });
+  res.end();
+}
+
+// First matching rule wins; unless forced with "!", a rule only applies when
+// no file exists at the path (Netlify's shadowing)
+function findRule(urlPath, hasFile) {
+  for (const rule of rules) {
+    if (hasFile && !rule.force) continue;
+    const to = matchRule(rule, urlPath);
+    if (to !== null) return { rule, to };
+  }
+  return null;
+}
+
+function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname === EVENTS_PATH) return handleEvents(req, res);
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(url.pathname);
+  } catch {
+    return sendNotFound(res);
+  }
+
+  const file = resolveFile(urlPath);
+  const hit = findRule(urlPath, Boolean(file));
+
+  if (hit) {
+    const { rule, to } = hit;
+    const status = rule.status;
+    if (status >= 300 && status < 400) {
+      // Netlify passes the query string on unless the target sets its own
+      return redirect(res, status, to.includes("?") ? to : to + url.search);
+    }
+    if (/^https?:\/\//i.test(to)) {
+      res.writeHead(502, { "Content-Type": "text/plain; charset=utf-8" });
+      return res.end(`Proxy rules aren't emulated (line ${rule.line}: ${rule.from} → ${to})`);
+    }
+    // 200 rewrites and custom 404s serve the target's content at this URL
+    const target = resolveFile(new URL(to, SITE_ORIGIN).pathname);
+    if (!target) return sendNotFound(res);
+    return send(res, status, target);
+  }
+
+  if (file) return send(res, 200, file);
+
+  // Pretty URLs: a folder with an index page gets its trailing slash
+  if (!urlPath.endsWith("/") && resolveFile(`${urlPath}/`)) {
+    return redirect(res, 301, `${urlPath}/${url.search}`);
+  }
+
+  return sendNotFound(res);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const { pages } = buildSearchIndex();
+  console.log(`✅ Indexed ${pages} pages into ${path.relative(ROOT, SEARCH_INDEX_FILE)}`);
+
+  execFileSync(process.execPath, [path.join(ROOT, "scripts", "build-dist.mjs")], { stdio: "inherit" });
+  execFileSync(process.execPath, [path.join(ROOT, "scripts", "inject-social-meta.mjs")], { stdio: "inherit" });
+  loadRedirects();
+  watchDir(ROOT);
+
+  http.createServer(handle).listen(PORT, () => {
+    console.log(`✅ Serving ${path.relative(ROOT, DIST_DIR)}/ at http://localhost:${PORT}/ (${rules.length} redirect rules)`);
+  });
+}
+
+main();
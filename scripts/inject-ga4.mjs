@@ -1,38 +1,13 @@
 // scripts/inject-ga4.mjs
-// Injects the GA4 gtag snippet into HTML files at build time.
+// Injects the GA4 gtag snippet into the HTML in dist/ at build time.
 // Idempotent: won't duplicate. If present, it can update the ID.
-// Run: node scripts/inject-ga4.mjs
+// Source pages stay without it; --check fails the build if one has it.
+// Run: node scripts/build-dist.mjs && node scripts/inject-ga4.mjs
+//      node scripts/inject-ga4.mjs --check
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, "..");
-
-// ✅ Your GA4 Measurement ID
-const GA_ID = "G-KJPSMV89KV";
-
-// Which folders/pages to modify:
-const INCLUDE_DIRS = ["materials", "specs", "about", "contact", "legal", "search"];
-const INCLUDE_ROOT_FILES = ["index.html", "404.html"]; // include 404 if you want tracking there
-
-// Skip these directories entirely
-const SKIP_DIRS = new Set(["assets", "data", "scripts", ".netlify", ".git", "node_modules"]);
-
-function* walk(dirPath) {
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-  for (const e of entries) {
-    const full = path.join(dirPath, e.name);
-    if (e.isDirectory()) {
-      if (SKIP_DIRS.has(e.name)) continue;
-      yield* walk(full);
-    } else {
-      yield full;
-    }
-  }
-}
+import { ROOT, DIST_DIR, GA_ID, collectHtmlFiles } from "./lib/pages.mjs";
 
 function read(p) {
   return fs.readFileSync(p, "utf8");
@@ -42,28 +17,12 @@ function write(p, s) {
   fs.writeFileSync(p, s, "utf8");
 }
 
-function collectHtmlFiles() {
-  const files = [];
-
-  for (const d of INCLUDE_DIRS) {
-    const dir = path.join(ROOT, d);
-    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) continue;
-    for (const f of walk(dir)) {
-      if (f.toLowerCase().endsWith(".html")) files.push(f);
-    }
-  }
-
-  for (const f of INCLUDE_ROOT_FILES) {
-    const p = path.join(ROOT, f);
-    if (fs.existsSync(p) && fs.statSync(p).isFile()) files.push(p);
-  }
-
-  return files;
-}
-
 // Remove any existing gtag snippet so we can re-insert cleanly.
 // This prevents duplicates and lets us update GA_ID later.
 function stripExistingGtag(html) {
+  // Remove the "Google tag" comment left above each snippet:
+  html = html.replace(/<!--\s*Google tag \(gtag\.js\)\s*-->\s*/gi, "");
+
   // Remove the external script tag:
   html = html.replace(
     /<script\b[^>]*src=["']https:\/\/www\.googletagmanager\.com\/gtag\/js\?id=G-[A-Z0-9]+["'][^>]*>\s*<\/script>\s*/gi,
@@ -124,8 +83,29 @@ function injectIntoHead(html, snippet) {
   );
 }
 
+function check() {
+  const problems = collectHtmlFiles(ROOT)
+    .filter((filePath) => stripExistingGtag(read(filePath)) !== read(filePath))
+    .map((filePath) => path.relative(ROOT, filePath));
+
+  if (problems.length) {
+    console.error(`❌ GA4 snippet found in ${problems.length} source file(s); it is added to dist/ at build time:`);
+    for (const p of problems.slice(0, 20)) console.error(`- ${p}`);
+    if (problems.length > 20) console.error(`(Showing first 20 of ${problems.length})`);
+    process.exit(1);
+  }
+  console.log("✅ No GA4 snippet in source pages");
+}
+
 function main() {
-  const files = collectHtmlFiles();
+  if (process.argv.includes("--check")) return check();
+
+  if (!fs.existsSync(DIST_DIR)) {
+    console.error(`Missing ${path.relative(ROOT, DIST_DIR)}/ — run node scripts/build-dist.mjs first`);
+    process.exit(1);
+  }
+
+  const files = collectHtmlFiles(DIST_DIR);
   const snippet = buildSnippet();
 
   let changed = 0;
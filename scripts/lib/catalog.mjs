@@ -0,0 +1,73 @@
+// scripts/lib/catalog.mjs
+// /data/specs.json — the spec catalog scripts/build-spec-catalog.mjs writes —
+// and the category order and headings every list of specs on the site uses
+// (spec indexes, hubs, checklists, /compare/, the HTML sitemap).
+
+import fs from "fs";
+import path from "path";
+import { titleCase } from "./labels.mjs";
+import { ROOT } from "./pages.mjs";
+
+export const CATALOG_FILE = path.join(ROOT, "data", "specs.json");
+
+// Category folders list in this order; anything new goes after, alphabetically
+export const CATEGORY_ORDER = [
+  "construction", "performance", "installation", "finish",
+  "environmental", "physical", "backing", "warranty",
+];
+
+// Folder name → heading, where title-casing the folder isn't enough
+const CATEGORY_LABELS = {
+  environmental: "Environmental & Compliance",
+};
+
+// Heading for specs filed straight under specs/
+const UNCATEGORIZED_LABEL = "Specs";
+
+// Exits with a hint when the catalog hasn't been built yet
+export function loadCatalog() {
+  if (!fs.existsSync(CATALOG_FILE)) {
+    console.error(`Missing ${path.relative(ROOT, CATALOG_FILE)} — run node scripts/build-spec-catalog.mjs first`);
+    process.exit(1);
+  }
+  return JSON.parse(fs.readFileSync(CATALOG_FILE, "utf8"));
+}
+
+// Position in CATEGORY_ORDER; unknown categories (and none) sort last
+export function categoryRank(category) {
+  const i = CATEGORY_ORDER.indexOf(category);
+  return i === -1 ? CATEGORY_ORDER.length : i;
+}
+
+export function getCategoryLabel(category) {
+  return category ? (CATEGORY_LABELS[category] || titleCase(category)) : UNCATEGORIZED_LABEL;
+}
+
+// Entries under their category headings, categories in CATEGORY_ORDER and
+// specs by label
+export function groupByCategory(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = e.category || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => categoryRank(a) - categoryRank(b) || a.localeCompare(b))
+    .map(([category, items]) => ({
+      category,
+      heading: getCategoryLabel(category),
+      items: items.sort((a, b) => a.label.localeCompare(b.label)),
+    }));
+}
+
+// slug → every version of that spec: "wear-layer" → each material's Wear Layer
+export function groupBySlug(entries) {
+  const bySlug = new Map();
+  for (const e of entries) {
+    if (!bySlug.has(e.slug)) bySlug.set(e.slug, []);
+    bySlug.get(e.slug).push(e);
+  }
+  return bySlug;
+}
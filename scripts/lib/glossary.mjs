@@ -0,0 +1,71 @@
+// scripts/lib/glossary.mjs
+// Reads /data/glossary.json, the hand-kept list of flooring terms: each entry
+// has a term, abbreviations, synonyms, a short definition and the page that
+// explains it. scripts/build-glossary.mjs renders it into /glossary/; the
+// search index (lib/search-index.mjs) takes its synonyms from here.
+
+import fs from "fs";
+import path from "path";
+import { ROOT } from "./pages.mjs";
+
+export const GLOSSARY_FILE = path.join(ROOT, "data", "glossary.json");
+
+let __entries = null;
+
+export function loadGlossary() {
+  if (__entries) return __entries;
+  __entries = fs.existsSync(GLOSSARY_FILE) ? JSON.parse(fs.readFileSync(GLOSSARY_FILE, "utf8")) : [];
+  return __entries;
+}
+
+// Lowercase words separated by single spaces, as the search builder tokenizes
+// phrases: "Click-Lock" → "click lock"
+export function normalizeTerm(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// The names an entry is looked up by: its term and abbreviations
+export function getKeys(entry) {
+  return [entry.term, ...(entry.abbreviations || [])].map(normalizeTerm).filter(Boolean);
+}
+
+// Every name the entry goes by, synonyms included
+export function getNames(entry) {
+  return [...new Set([...getKeys(entry), ...(entry.synonyms || []).map(normalizeTerm).filter(Boolean)])];
+}
+
+// Problems with the data file, as messages; empty when it's usable
+export function validateGlossary(entries) {
+  const problems = [];
+  const owners = new Map();
+  entries.forEach((entry, i) => {
+    const where = entry?.term ? `"${entry.term}"` : `entry ${i + 1}`;
+    for (const field of ["term", "definition", "page"]) {
+      if (typeof entry?.[field] !== "string" || !entry[field].trim()) problems.push(`${where}: missing ${field}`);
+    }
+    for (const field of ["abbreviations", "synonyms"]) {
+      if (entry?.[field] !== undefined && !Array.isArray(entry[field])) problems.push(`${where}: ${field} must be a list`);
+    }
+    if (entry?.page && !entry.page.startsWith("/")) problems.push(`${where}: page must be a site path ("${entry.page}")`);
+
+    // A term or abbreviation naming two entries makes lookups ambiguous
+    for (const key of getKeys(entry || {})) {
+      if (owners.has(key)) problems.push(`${where}: "${key}" is already used by "${owners.get(key)}"`);
+      else owners.set(key, entry.term);
+    }
+  });
+  return problems;
+}
+
+// name → the entry's other names, for every term and abbreviation
+// ("lvt" → ["luxury vinyl tile", "lvp", "luxury vinyl", …])
+export function buildSynonymMap(entries = loadGlossary()) {
+  const map = new Map();
+  for (const entry of entries) {
+    const names = getNames(entry);
+    for (const key of getKeys(entry)) {
+      map.set(key, names.filter((n) => n !== key));
+    }
+  }
+  return map;
+}
@@ -0,0 +1,117 @@
+// scripts/lib/html.mjs
+// String helpers for reading and writing the site's HTML. Every generator
+// imports them from here, so a fix (an entity the decoder missed, a tag the
+// text extractor mangles) reaches all of them at once.
+
+export function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// The entities the pages use; &amp; goes last so "&amp;lt;" stays "&lt;"
+export function decodeEntities(s) {
+  return String(s || "")
+    .replaceAll("&lt;", "<").replaceAll("&gt;", ">").replaceAll("&quot;", '"')
+    .replaceAll("&#039;", "'").replaceAll("&#39;", "'").replaceAll("&nbsp;", " ")
+    .replaceAll("&amp;", "&");
+}
+
+export function stripTags(html) {
+  return String(html || "")
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, " ")
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    // Links sit mid-sentence (build-term-links.mjs adds them there); no space,
+    // or "backing</a>." reads "backing ." and "(<a>EIR</a>)" reads "( EIR )"
+    .replace(/<\/?a\b[^>]*>/gi, "")
+    .replace(/<\/?[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Tag-free, entity-decoded, whitespace-collapsed text. Also tightens the
+// space stripTags leaves before punctuation ("<strong>AC4</strong>, AC5").
+export function toText(html) {
+  return decodeEntities(stripTags(html)).replace(/\s+([,.;:!?)])/g, "$1");
+}
+
+// build-measure-markup.mjs wraps values in <span data-measure>. Generators
+// read and compare pages without it, so the markup never counts as a change.
+export function unwrapMeasures(html) {
+  return html.replace(/<span\b[^>]*\bdata-measure=[^>]*>([\s\S]*?)<\/span>/gi, "$1");
+}
+
+// Text of <title>, and the meta description ("" when either is missing)
+export function getTitle(html) {
+  const m = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return m ? toText(m[1]) : "";
+}
+
+export function getMetaDescription(html) {
+  const m =
+    html.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']*)["'][^>]*>/i) ||
+    html.match(/<meta[^>]*content=["']([^"']*)["'][^>]*name=["']description["'][^>]*>/i);
+  return m ? decodeEntities(m[1]).trim() : "";
+}
+
+// Visible FAQ: <details><summary><span>Question</span>…</summary><p>Answer</p></details>
+export function getVisibleFaq(html) {
+  html = unwrapMeasures(html);
+  const faq = [];
+  const re = /<details\b[^>]*>\s*<summary\b[^>]*>([\s\S]*?)<\/summary>([\s\S]*?)<\/details>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const q = m[1].match(/<span[^>]*font-semibold[^>]*>([\s\S]*?)<\/span>/i);
+    const question = toText(q ? q[1] : m[1]);
+    const answer = toText(m[2]);
+    if (question && answer) faq.push({ question, answer });
+  }
+  return faq;
+}
+
+// Stubs left behind by merged or moved pages (meta refresh, no content)
+export function isRedirectStub(html) {
+  return /<meta[^>]*http-equiv=["']refresh["']/i.test(html);
+}
+
+// Text of the <h1> without the subtitle <span> inside it:
+// <h1>Wear Layer Explained <span>LVT Construction · …</span></h1> → "Wear Layer Explained"
+export function getH1Text(html) {
+  const m = unwrapMeasures(html).match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  if (!m) return "";
+  return decodeEntities(m[1].replace(/<span[^>]*>[\s\S]*?<\/span>/gi, " ").replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Swaps the generated block between two markers; null when the page has none
+export function replaceBlock(html, block, startMarker, endMarker) {
+  const start = html.indexOf(startMarker);
+  const end = html.indexOf(endMarker);
+  if (start === -1 || end < start) return null;
+  return html.slice(0, start) + block + html.slice(end + endMarker.length);
+}
+
+// ── Links ─────────────────────────────────────────────────────────────────────
+
+// Scripts, styles and comments out, so template literals and commented-out
+// markup don't count as links
+export function stripScripts(html) {
+  return html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+}
+
+// Attribute value from an opening tag: getAttr('<a href="/x/">', "href") → "/x/"
+export function getAttr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`, "i"));
+  return m ? m[2].trim() : "";
+}
+
+export function stripQueryAndHash(href) {
+  return href.replace(/[?#].*$/, "");
+}
@@ -0,0 +1,70 @@
+// scripts/lib/labels.mjs
+// Display names for pages, materials and variants, taken from their <h1>s so
+// generated links say the same thing as the pages themselves.
+
+import fs from "fs";
+import path from "path";
+import { getH1Text } from "./html.mjs";
+import { ROOT } from "./pages.mjs";
+
+// Folder names that don't title-case cleanly
+const NAME_LABELS = {
+  lvt: "LVT",
+  "glue-down": "Glue-Down",
+};
+
+export function titleCase(slug) {
+  return String(slug)
+    .split("-")
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+// Material / variant folder name for display: "lvt" → "LVT", "carpet-tile" → "Carpet Tile"
+export function getNameLabel(slug) {
+  return NAME_LABELS[slug] || titleCase(slug);
+}
+
+// <h1> text trimmed down to a link-sized name:
+// "What Is Hardwood Flooring?" → "Hardwood"
+// "Rigid Core (Floating) LVT, Explained" → "Rigid Core LVT"
+// "Wear Layer Explained" → "Wear Layer"
+export function getH1Label(html) {
+  return getH1Text(html)
+    .replace(/^What Is\s+/i, "")
+    .replace(/\s+Flooring\?$/i, "")
+    .replace(/\s*\([^)]*\)/g, "")
+    .replace(/,?\s*Explained\b/i, "")
+    .replace(/\s+for\s+\w+\s+Flooring$/i, "")
+    .trim();
+}
+
+// Short link label for a spec page:
+// "Engineered Hardwood Veneer Thickness, Explained" → "Veneer Thickness"
+// Drops the variant (or material) prefix, but keeps "Tile Size" rather than "Size".
+export function toSpecLabel(title, { material, variant }) {
+  const base = title
+    .replace(/,?\s*Explained\b/i, "")
+    .replace(/\s+for\s+\w+\s+Flooring$/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const stripPrefix = (s, seg) => {
+    const prefix = `${String(seg || "").replace(/-/g, " ")} `;
+    return seg && s.toLowerCase().startsWith(prefix) ? s.slice(prefix.length) : s;
+  };
+
+  const byVariant = stripPrefix(base, variant);
+  const byMaterial = stripPrefix(base, material);
+  if (byVariant !== base && (!byVariant.includes(" ") && byMaterial !== base)) return byMaterial;
+  return byVariant !== base ? byVariant : byMaterial;
+}
+
+const cache = new Map();
+
+// Label of the variant / material index: "Rigid Core LVT", "Laminate"
+export function getGroupLabel(material, variant = null) {
+  const file = path.join(ROOT, "materials", material, ...(variant ? [variant] : []), "index.html");
+  if (!cache.has(file)) cache.set(file, fs.existsSync(file) ? getH1Label(fs.readFileSync(file, "utf8")) : "");
+  return cache.get(file);
+}
@@ -0,0 +1,108 @@
+// scripts/lib/measure-markup.mjs
+// Wraps measurements in page copy in <span data-measure> markup for the
+// imperial/metric toggle in site.js. scripts/build-measure-markup.mjs runs it
+// over the pages; values are stored in canonical units (/assets/js/units.mjs).
+
+import { isRate, parseMeasures } from "../../assets/js/units.mjs";
+import { unwrapMeasures } from "./html.mjs";
+
+// Text inside these elements is never rewritten
+const SKIP_ELEMENTS = new Set(["script", "style", "code", "pre", "title", "textarea"]);
+
+// "12 mil (about 0.3 mm)" and "6–28 mil / 0.15–0.7 mm": the second value is
+// the same one in the other system, so the pair becomes one measurement
+const EQUIVALENT_OPEN = /^\s*\((?:about|approximately|approx\.?|roughly|~|≈)?\s*/i;
+const EQUIVALENT_CLOSE = /^\s*\)/;
+const EQUIVALENT_SLASH = /^\s+\/\s+/;
+
+// Copy that explains units ("1 mil = 0.001 inch", "a 12 mil wear layer is not
+// 12 mm") would turn into nonsense once converted, so it's left as written
+const DEFINES_UNITS = /=|\bequals?\b/i;
+
+function renderSpan(m, original) {
+  return `<span data-measure="${m.dim}" data-lo="${m.lo}" data-hi="${m.hi}" data-system="${m.system}">${original}</span>`;
+}
+
+// Where the pair "m (next)" / "m / next" ends, or -1 if next isn't m's equivalent
+function equivalentEnd(text, m, next) {
+  if (!next || next.dim !== m.dim || next.system === m.system) return -1;
+  const after = text.slice(m.index + m.text.length);
+  const nextEnd = next.index + next.text.length;
+
+  const slash = after.match(EQUIVALENT_SLASH);
+  if (slash && next.index === m.index + m.text.length + slash[0].length) return nextEnd;
+
+  const open = after.match(EQUIVALENT_OPEN);
+  if (!open || next.index !== m.index + m.text.length + open[0].length) return -1;
+  const close = text.slice(nextEnd).match(EQUIVALENT_CLOSE);
+  return close ? nextEnd + close[0].length : -1;
+}
+
+// Same dimension written in both systems, other than as equivalent pairs
+function comparesUnits(text, measures) {
+  const seen = new Map();
+  for (let i = 0; i < measures.length; i++) {
+    const m = measures[i];
+    if (equivalentEnd(text, m, measures[i + 1]) !== -1) {
+      i++;
+      continue;
+    }
+    if (seen.has(m.dim) && seen.get(m.dim) !== m.system) return true;
+    seen.set(m.dim, m.system);
+  }
+  return false;
+}
+
+// Wrap every convertible measurement in one text node. Rates ("50 lbs/sq ft")
+// stay as written: converting only the top half would read "22.7 kg/sq ft".
+export function wrapText(text) {
+  const measures = parseMeasures(text).filter((m) => m.system && !isRate(text, m));
+  if (!measures.length) return { text, count: 0 };
+  if (DEFINES_UNITS.test(text) || comparesUnits(text, measures)) return { text, count: 0 };
+
+  let out = "";
+  let at = 0;
+  let count = 0;
+
+  for (let i = 0; i < measures.length; i++) {
+    const m = measures[i];
+    if (m.index < at) continue;
+
+    let end = equivalentEnd(text, m, measures[i + 1]);
+    if (end === -1) end = m.index + m.text.length;
+    else i++;
+
+    out += text.slice(at, m.index) + renderSpan(m, text.slice(m.index, end));
+    at = end;
+    count++;
+  }
+
+  return { text: out + text.slice(at), count };
+}
+
+// Walk the tags and text of <main>. Markup from an earlier run is taken out
+// first, so changes to the rules reach pages that were already marked up.
+export function markupMain(main) {
+  const parts = unwrapMeasures(main).split(/(<[^>]+>)/);
+  let skip = null;
+  let count = 0;
+
+  const out = parts.map((part) => {
+    if (part.startsWith("<")) {
+      const tag = part.match(/^<(\/?)([a-z0-9]+)/i);
+      if (!tag) return part;
+      const [, closing, name] = tag;
+      const lower = name.toLowerCase();
+      if (!closing && !skip && SKIP_ELEMENTS.has(lower)) skip = lower;
+      else if (closing && skip === lower) skip = null;
+      return part;
+    }
+    if (skip || !part.trim()) return part;
+
+    const r = wrapText(part);
+    count += r.count;
+    return r.text;
+  });
+
+  return { main: out.join(""), count };
+}
@@ -0,0 +1,27 @@
+// scripts/lib/measure-markup.test.mjs
+// Run: npm test
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { wrapText } from "./measure-markup.mjs";
+
+test("a metre equivalent in parentheses joins the imperial value", () => {
+  const r = wrapText("47–54 in (1.2–1.4 m)");
+  assert.equal(r.count, 1);
+  assert.equal(
+    r.text,
+    '<span data-measure="length" data-lo="1194" data-hi="1372" data-system="imperial">47–54 in (1.2–1.4 m)</span>'
+  );
+});
+
+test("rates are left as written", () => {
+  for (const text of ["50 lbs/sq ft", "3 lbs/1000 sq ft/24 hrs", "3 lb/in", "820–880 kg/m³"]) {
+    assert.deepEqual(wrapText(text), { text, count: 0 }, text);
+  }
+});
+
+test("values on both sides of a spaced slash are one measurement", () => {
+  const r = wrapText("6–28 mil / 0.15–0.7 mm");
+  assert.equal(r.count, 1);
+  assert.match(r.text, /^<span data-measure="length"[^>]*>6–28 mil \/ 0\.15–0\.7 mm<\/span>$/);
+});
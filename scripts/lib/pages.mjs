@@ -0,0 +1,141 @@
+// scripts/lib/pages.mjs
+// Page discovery shared by the build scripts: which .html files are pages,
+// the URL each one is served at, and which of them are listed in the sitemap
+// and search index. Settings come from /site.config.mjs.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import config from "../../site.config.mjs";
+import { isRedirected } from "./redirects.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export { config };
+
+export const ROOT = path.resolve(__dirname, "..", "..");
+export const DIST_DIR = path.join(ROOT, "dist");
+
+export const SITE_ORIGIN = config.origin;
+export const SITE_NAME = config.siteName;
+export const GA_ID = config.gaId;
+export const DEFAULT_OG_IMAGE = `${config.origin}${config.ogImage}`;
+
+// Never pages, wherever they turn up
+const SKIP_DIRS = new Set([".netlify", ".git", "node_modules"]);
+
+// Top-level entries copied into dist/; see assetDirs and rootFiles in the config
+const PUBLISHED_DIRS = new Set([...config.sections, ...config.assetDirs]);
+const PUBLISHED_FILES = [...config.rootPages, ...config.rootFiles].map(globToRegExp);
+
+const UNSEARCHED_URLS = config.unsearchedUrls.map(globToRegExp);
+
+// "sitemap*.xml" → /^sitemap.*\.xml$/
+function globToRegExp(glob) {
+  const escaped = glob.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join(".*")}$`);
+}
+
+export function* walk(dirPath) {
+  for (const e of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const full = path.join(dirPath, e.name);
+    if (e.isDirectory()) {
+      if (!SKIP_DIRS.has(e.name)) yield* walk(full);
+    } else {
+      yield full;
+    }
+  }
+}
+
+// materials/lvt/index.html → /materials/lvt/; other .html files keep the
+// extension. baseDir is the tree the file sits in (ROOT or DIST_DIR).
+export function fileToUrl(filePath, baseDir = ROOT) {
+  const rel = path.relative(baseDir, filePath).split(path.sep).join("/");
+  if (rel === "index.html") return "/";
+  if (rel.endsWith("/index.html")) return `/${rel.replace(/index\.html$/, "")}`;
+  return `/${rel}`;
+}
+
+// The reverse: "/x/" → x/index.html, "/x.html" → x.html
+export function urlToFile(url, baseDir = ROOT) {
+  const parts = url.split("/").filter(Boolean);
+  return url.endsWith("/") ? path.join(baseDir, ...parts, "index.html") : path.join(baseDir, ...parts);
+}
+
+// Files a link path can be served from: "/x/" → x/index.html, "/x.html" →
+// x.html, and "/x" → x.html or x/index.html
+export function urlToCandidateFiles(urlPath, baseDir = ROOT) {
+  const p = urlPath.replace(/\/{2,}/g, "/");
+  if (!p.startsWith("/")) return [];
+  if (p === "/") return [path.join(baseDir, "index.html")];
+  if (p.endsWith("/")) return [path.join(baseDir, p.slice(1), "index.html")];
+  if (path.extname(p)) return [path.join(baseDir, p.slice(1))];
+  return [path.join(baseDir, p.slice(1) + ".html"), path.join(baseDir, p.slice(1), "index.html")];
+}
+
+export function isFile(p) {
+  try {
+    return fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Absolute URLs on our own origin (canonical links, JSON-LD) count as internal
+export function isExternalUrl(url) {
+  if (url.toLowerCase().startsWith(SITE_ORIGIN)) return false;
+  return /^https?:\/\//i.test(url) || /^\/\//.test(url);
+}
+
+// Every page: .html files in the configured sections plus the root pages
+export function collectHtmlFiles(baseDir = ROOT) {
+  const files = [];
+
+  for (const d of config.sections) {
+    const dir = path.join(baseDir, d);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) continue;
+    for (const f of walk(dir)) {
+      if (f.toLowerCase().endsWith(".html")) files.push(f);
+    }
+  }
+
+  for (const f of config.rootPages) {
+    const p = path.join(baseDir, f);
+    if (fs.existsSync(p) && fs.statSync(p).isFile()) files.push(p);
+  }
+
+  return files;
+}
+
+// Whether a top-level entry of the repo is copied into dist/. Anything not
+// listed in site.config.mjs (tooling, dotfiles, stray notes) stays out.
+export function isPublished(name, isDirectory) {
+  if (isDirectory) return PUBLISHED_DIRS.has(name);
+  return PUBLISHED_FILES.some((re) => re.test(name));
+}
+
+export function isErrorPage(url) {
+  return url === `/${config.errorPage}`;
+}
+
+export function isExcludedUrl(url) {
+  return config.excludedUrls.some((u) => (u.endsWith("/") ? url.startsWith(u) : url === u));
+}
+
+// Belongs in sitemap.xml and search-index.json
+export function isListed(url) {
+  return !isErrorPage(url) && !isExcludedUrl(url) && !isRedirected(url);
+}
+
+// Belongs in search-index.json as well
+export function isSearchable(url) {
+  return isListed(url) && !UNSEARCHED_URLS.some((re) => re.test(url));
+}
+
+// [{ file, url }] for every listed page
+export function collectListedPages(baseDir = ROOT) {
+  return collectHtmlFiles(baseDir)
+    .map((file) => ({ file, url: fileToUrl(file, baseDir) }))
+    .filter(({ url }) => isListed(url));
+}
@@ -0,0 +1,102 @@
+// scripts/lib/redirects.mjs
+// Parses Netlify's _redirects file — the single source of truth for merged
+// and legacy URLs. Build scripts use it to leave redirect sources out of the
+// sitemap, search index and spec lists; scripts/check-redirects.mjs validates it.
+//
+// Matching covers the syntax used here: ":name" matches one path segment,
+// "*" matches the rest of the path (or, mid-path, one or more segments), and
+// the target can reuse both (":name", ":splat"). Query-string conditions and
+// country/role options aren't supported.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, "..", "..");
+const REDIRECTS_FILE = path.join(ROOT, "_redirects");
+
+// "/from  /to  301!" → { from, to, status, force, line }
+export function parseRedirects(text) {
+  const rules = [];
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (!line) return;
+    const [from, to, code = "301"] = line.split(/\s+/);
+    if (!from || !to) return;
+    rules.push({
+      from,
+      to,
+      status: Number.parseInt(code, 10) || 301,
+      force: code.endsWith("!"),
+      line: i + 1,
+    });
+  });
+  return rules;
+}
+
+let __rules = null;
+
+// Rules from the repo's _redirects (cached; empty if the file is missing)
+export function readRedirects() {
+  if (!__rules) {
+    __rules = fs.existsSync(REDIRECTS_FILE) ? parseRedirects(fs.readFileSync(REDIRECTS_FILE, "utf8")) : [];
+  }
+  return __rules;
+}
+
+export function isPattern(from) {
+  return from.includes("*") || from.includes(":");
+}
+
+// Exact-path sources (merged duplicates, legacy URLs). Splat and placeholder
+// rules can't name a single page.
+export function getRedirectSources(rules = readRedirects()) {
+  return new Set(rules.filter((r) => !isPattern(r.from)).map((r) => r.from));
+}
+
+const patternCache = new Map();
+
+// "/materials/:section" → { re: /^\/materials\/([^/]+)$/, names: ["section"] }
+function compile(from) {
+  if (!patternCache.has(from)) {
+    const names = [];
+    const source = from.split(/(:[a-z_]+|\*)/i).map((part) => {
+      if (part === "*") {
+        names.push("splat");
+        return "(.+)";
+      }
+      if (/^:[a-z_]+$/i.test(part)) {
+        names.push(part.slice(1));
+        return "([^/]+)";
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+    patternCache.set(from, { re: new RegExp(`^${source}$`), names });
+  }
+  return patternCache.get(from);
+}
+
+// Match one rule against a URL path; returns the target with placeholders
+// filled in, or null
+export function matchRule(rule, urlPath) {
+  const { re, names } = compile(rule.from);
+  const m = urlPath.match(re);
+  if (!m) return null;
+  const params = Object.fromEntries(names.map((name, i) => [name, m[i + 1]]));
+  return rule.to.replace(/:([a-z_]+)/gi, (s, name) => (name in params ? params[name] : s));
+}
+
+// First matching rule wins, as on Netlify: → { rule, to } or null
+export function findRedirect(urlPath, rules = readRedirects()) {
+  for (const rule of rules) {
+    const to = matchRule(rule, urlPath);
+    if (to !== null) return { rule, to };
+  }
+  return null;
+}
+
+export function isRedirected(urlPath, rules = readRedirects()) {
+  return findRedirect(urlPath, rules) !== null;
+}
@@ -0,0 +1,417 @@
+// scripts/lib/search-index.mjs
+// Builds /search-index.json and /search-sections.json: the result entries
+// plus an inverted index (per-field term frequencies) that
+// /assets/js/search.mjs ranks with BM25.
+// Used by scripts/build-search-index.mjs and, one page at a time, by
+// scripts/dev-server.mjs.
+
+import fs from "fs";
+import path from "path";
+import { toTerms } from "../../assets/js/search.mjs";
+import { parseMeasures } from "../../assets/js/units.mjs";
+import { buildSynonymMap } from "./glossary.mjs";
+import { decodeEntities, getMetaDescription, getTitle, stripTags, unwrapMeasures } from "./html.mjs";
+import { ROOT } from "./pages.mjs";
+
+export const SEARCH_INDEX_FILE = path.join(ROOT, "search-index.json");
+export const SEARCH_SECTIONS_FILE = path.join(ROOT, "search-sections.json");
+
+// Indexed fields and their BM25F weights (title matches count most, body least).
+// Body comes first so postings can drop trailing zero counts: most hits are body-only.
+const FIELDS = ["body", "headings", "keywords", "title"];
+const FIELD_WEIGHTS = { title: 8, keywords: 4, headings: 2, body: 1 };
+
+// Path segments to skip when building URL-derived keywords
+const SKIP_PATH_SEGMENTS = new Set(["materials", "specs", "index", ""]);
+
+// Flooring domain synonyms from the glossary (/data/glossary.json): if a
+// phrase names a term or abbreviation, the entry's other names become extra keywords
+const DOMAIN_SYNONYMS = buildSynonymMap();
+
+const STOPWORDS = new Set([
+  "a","an","and","are","as","at","be","by","can","do","does","don","for","from",
+  "get","how","if","in","into","is","it","its","not","of","on","or","our",
+  "that","the","their","this","to","used","use","vs","what","when","where",
+  "which","why","with","without","you","your","we","they","them","also","about",
+  "page","pages","site","reference","only","information","explained","explains",
+  "common","including","overview","often","usually","most","some","many","any",
+  "more","less","than","just","so","no","yes","all","both","each","few","same",
+  "own","such","then","than","too","very","will","was","were","been","being",
+  "have","has","had","may","might","would","could","should","shall","must",
+  "floor","flooring","start","type","types","people","room","choosing","choose",
+  "see","look","find","help","read","note","below","above","here","there","like",
+  "need","want","know","make","take","give","come","go","way","time","good",
+  "best","right","first","last","new","old","high","low","large","small",
+  "different","other","another","next","back","well","even","still","already",
+  "always","never","often","sometimes","usually","generally","typically",
+  "important","useful","simple","basic","key","main","major","minor",
+  "doesn","don't","isn","isn't","aren","aren't","wasn","wasn't","weren",
+  "can't","cannot","won't","wouldn","couldn","shouldn","mustn",
+  "tell","says","means","meaning","refers","called","known","defined",
+  "necessarily","commonly","associated","typically","generally","usually",
+  "describes","describe","orientation","method","methods","process",
+  "universally","primarily","directly","indirectly","essentially","simply",
+  "certain","particular","specific","various","several","multiple",
+  "include","includes","including","such","per","between","among",
+  "because","since","while","although","however","therefore","thus",
+  "affect","affects","affected","effect","effects","impacts","impact",
+]);
+
+// ── HTML utilities ────────────────────────────────────────────────────────────
+
+function pickFirstMatch(html, regex) {
+  const m = html.match(regex);
+  return m ? (m[1] || "").trim() : "";
+}
+
+function getH1(html) {
+  const h1 = pickFirstMatch(html, /<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  return h1 ? decodeEntities(stripTags(h1)) : "";
+}
+
+function getHeadings(html) {
+  const headings = [];
+  const re = /<(h2|h3)[^>]*>([\s\S]*?)<\/\1>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const txt = decodeEntities(stripTags(m[2] || ""));
+    if (txt) headings.push(txt);
+  }
+  return headings;
+}
+
+// Short page name for section results: "Wear Layer Explained" → "Wear Layer"
+function getPageLabel(html) {
+  const h1 = pickFirstMatch(html, /<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  return decodeEntities(stripTags(h1.replace(/<span[^>]*>[\s\S]*?<\/span>/gi, " ")))
+    .replace(/^What Is\s+/i, "")
+    .replace(/\?$/, "")
+    .replace(/,?\s*Explained\b/i, "")
+    .replace(/\s+for\s+\w+\s+Flooring$/i, "")
+    .trim();
+}
+
+// One entry per <section id> with an <h2>, so results can link to #ranges,
+// #checklist, … directly
+function getSections(html) {
+  const sections = [];
+  const re = /<section\b[^>]*\bid=["']([^"']+)["'][^>]*>([\s\S]*?)<\/section>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const h2 = pickFirstMatch(m[2], /<h2[^>]*>([\s\S]*?)<\/h2>/i);
+    if (!h2) continue;
+    const heading = decodeEntities(stripTags(h2));
+    const text = decodeEntities(stripTags(m[2].replace(/<h2[^>]*>[\s\S]*?<\/h2>/i, " ")));
+    const subheadings = [...m[2].matchAll(/<h3[^>]*>([\s\S]*?)<\/h3>/gi)].map((h) => decodeEntities(stripTags(h[1])));
+    sections.push({ id: m[1], heading, text, subheadings });
+  }
+  return sections;
+}
+
+// Readable page copy: <main> without its breadcrumb <nav>, falling back to the whole page
+function getMainText(html) {
+  const main = pickFirstMatch(html, /<main\b[^>]*>([\s\S]*?)<\/main>/i) || html;
+  return decodeEntities(stripTags(main.replace(/<nav\b[^>]*>[\s\S]*?<\/nav>/gi, " ")));
+}
+
+// Extract FAQ Q&A from JSON-LD schema on the page
+// (build-faq-schema.mjs rebuilds it from the visible <details> FAQ first)
+function extractFaqSchema(html) {
+  const faqs = [];
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    try {
+      const obj = JSON.parse(m[1]);
+      if (obj["@type"] === "FAQPage" && Array.isArray(obj.mainEntity)) {
+        for (const q of obj.mainEntity) {
+          if (q["@type"] === "Question") {
+            faqs.push({
+              question: String(q.name || ""),
+              answer: String(q.acceptedAnswer?.text || ""),
+            });
+          }
+        }
+      }
+    } catch { /* malformed JSON-LD, skip */ }
+  }
+  return faqs;
+}
+
+// ── Keyword building ──────────────────────────────────────────────────────────
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(t => t.length >= 3 && !STOPWORDS.has(t));
+}
+
+// URL path → keyword phrases
+// /materials/lvt/rigid-core/specs/construction/wear-layer.html
+// → ["lvt", "rigid core", "construction", "wear layer"]
+function urlToKeywords(urlPath) {
+  const segments = urlPath
+    .replace(/\.html$/, "")
+    .split("/")
+    .filter(s => s && !SKIP_PATH_SEGMENTS.has(s));
+
+  return segments.map(s => s.replace(/-/g, " ")).filter(s => !STOPWORDS.has(s));
+}
+
+// Expand known domain terms → add synonyms
+function expandSynonyms(phrases) {
+  const extras = [];
+  for (const phrase of phrases) {
+    // Whole words only: "ac" shouldn't match inside "backing"
+    const p = ` ${phrase.toLowerCase()} `;
+    for (const [key, vals] of DOMAIN_SYNONYMS) {
+      if (!p.includes(` ${key} `)) continue;
+      for (const v of vals) if (!extras.includes(v)) extras.push(v);
+    }
+  }
+  return extras;
+}
+
+// Extract spec-value strings like "12 mil", "6 mm", "40 oz/yd²" as keywords
+function extractSpecValues(text) {
+  const values = [];
+  for (const m of parseMeasures(text)) {
+    const v = m.text.toLowerCase().replace(/\s+/g, " ");
+    if (!values.includes(v)) values.push(v);
+  }
+  return values;
+}
+
+// Fields searched for measurements, strongest first. Keywords are left out:
+// they repeat the body's values (extractSpecValues).
+const MEASURE_FIELDS = ["title", "headings", "body"];
+
+// The same values in canonical units, so a query in mm finds a page written
+// in mil (matching is in /assets/js/search.mjs). Each value is kept once, for
+// the strongest field it appears in: [dimension, lo, hi] in the body,
+// [dimension, lo, hi, fieldIndex] elsewhere.
+function extractMeasures(fields) {
+  const seen = new Set();
+  const out = [];
+  for (const f of MEASURE_FIELDS) {
+    for (const { dim, lo, hi } of parseMeasures(fields[f])) {
+      const key = `${dim}:${lo}:${hi}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(f === "body" ? [dim, lo, hi] : [dim, lo, hi, FIELDS.indexOf(f)]);
+    }
+  }
+  return out;
+}
+
+// Build final keywords array for one entry
+function buildKeywords({ title, h1, headings, faqs, bodyText, urlPath }) {
+  const all = [];
+
+  // 1. URL path tokens (highest signal — encode category + spec name)
+  const urlTokens = urlToKeywords(urlPath);
+  all.push(...urlTokens);
+
+  // 2. Synonyms for URL tokens
+  all.push(...expandSynonyms(urlTokens));
+
+  // 3. Title and h1 tokens
+  const titleTokens = tokenize(`${title} ${h1}`);
+  all.push(...titleTokens);
+
+  // 4. FAQ question phrases — search users ask questions, match them
+  for (const { question, answer } of faqs) {
+    // Whole question as a phrase (great for partial matching)
+    const qClean = decodeEntities(question).toLowerCase();
+    if (qClean && qClean.length < 120) all.push(qClean);
+    // Key nouns from question + first sentence of answer only
+    all.push(...tokenize(question));
+    const firstSentence = answer.split(/[.!?]/)[0] || "";
+    all.push(...tokenize(firstSentence).slice(0, 5));
+  }
+
+  // 5. Heading tokens
+  for (const h of headings) all.push(...tokenize(h));
+
+  // 6. Spec values found in body
+  all.push(...extractSpecValues(bodyText));
+
+  // 7. Synonyms for all collected phrases
+  const phrases = [...new Set(all.filter(k => k.includes(" ")))];
+  all.push(...expandSynonyms(phrases));
+
+  // De-duplicate, preserve insertion order
+  const seen = new Set();
+  const out = [];
+  for (const k of all) {
+    const key = k.toLowerCase().trim();
+    if (key && key.length >= 2 && !seen.has(key)) {
+      seen.add(key);
+      out.push(key);
+    }
+  }
+
+  return out.slice(0, 30);
+}
+
+// ── Entry builder ─────────────────────────────────────────────────────────────
+
+// Page entry plus one entry per section; null if the page has no <title>
+export function buildEntry(filePath, urlPath) {
+  const html = unwrapMeasures(fs.readFileSync(filePath, "utf8"));
+
+  const h1 = getH1(html);
+  const title = getTitle(html) || h1;
+  if (!title) return null;
+
+  const headings = getHeadings(html);
+  const faqs = extractFaqSchema(html);
+  const metaDesc = getMetaDescription(html);
+  const bodyText = stripTags(html).slice(0, 10000);
+
+  // Snippet: meta description is best; fall back to first FAQ answer
+  const snippet =
+    metaDesc ||
+    (faqs[0]?.answer ? faqs[0].answer.slice(0, 200) : "") ||
+    bodyText.slice(0, 180);
+
+  const keywords = buildKeywords({ title, h1, headings, faqs, bodyText, urlPath });
+
+  // Field text for the inverted index; not written to the result entry itself
+  const fields = {
+    title: `${title} ${h1}`,
+    keywords: keywords.join(" "),
+    headings: headings.join(" "),
+    body: getMainText(html),
+  };
+
+  const page = { title, url: urlPath, snippet: snippet.trim(), keywords, ...withMeasures(fields), fields };
+
+  const pageLabel = getPageLabel(html) || title;
+  const sections = getSections(html).map((sec) => {
+    // The page name counts as a keyword, not title, so "wear layer" still
+    // prefers the page while "wear layer ranges" finds #ranges
+    const secFields = {
+      title: sec.heading,
+      keywords: pageLabel,
+      headings: sec.subheadings.join(" "),
+      body: sec.text,
+    };
+    return {
+      title: `${pageLabel} › ${sec.heading}`,
+      url: `${urlPath}#${sec.id}`,
+      page: urlPath,
+      snippet: sec.text.slice(0, 180).trim(),
+      keywords: [],
+      ...withMeasures(secFields),
+      fields: secFields,
+    };
+  });
+
+  return [page, ...sections];
+}
+
+// Only docs that mention a measurement carry the key
+function withMeasures(fields) {
+  const measures = extractMeasures(fields);
+  return measures.length ? { measures } : {};
+}
+
+// ── Inverted index ────────────────────────────────────────────────────────────
+
+// term → [[docIndex, tf per field...], ...] with trailing zero counts dropped;
+// also records each doc's field lengths
+function buildInvertedIndex(entries) {
+  const terms = new Map();
+  const totals = FIELDS.map(() => 0);
+
+  entries.forEach((entry, doc) => {
+    const lengths = FIELDS.map((f, i) => {
+      const tokens = toTerms(entry.fields[f]);
+      for (const t of tokens) {
+        if (!terms.has(t)) terms.set(t, new Map());
+        const postings = terms.get(t);
+        if (!postings.has(doc)) postings.set(doc, FIELDS.map(() => 0));
+        postings.get(doc)[i]++;
+      }
+      totals[i] += tokens.length;
+      return tokens.length;
+    });
+    entry.lengths = lengths;
+  });
+
+  const sorted = [...terms.keys()].sort();
+  return {
+    avgLengths: totals.map((t) => Math.round((t / Math.max(1, entries.length)) * 100) / 100),
+    terms: Object.fromEntries(
+      sorted.map((t) => [t, [...terms.get(t)].map(([doc, tfs]) => [doc, ...trimZeros(tfs)])])
+    ),
+  };
+}
+
+function trimZeros(counts) {
+  let end = counts.length;
+  while (end > 0 && !counts[end - 1]) end--;
+  return counts.slice(0, end);
+}
+
+// One doc or term per line: small enough to ship, still readable in a diff.
+// `header` holds the leading keys, already serialized.
+function serialize(header, { docs, terms }) {
+  const lines = (items) => items.map((line) => `    ${line}`).join(",\n");
+  return [
+    "{",
+    ...header.map((h) => `  ${h},`),
+    `  "docs": [`,
+    lines(docs.map((d) => JSON.stringify(d))),
+    "  ],",
+    `  "terms": {`,
+    lines(Object.entries(terms).map(([t, p]) => `${JSON.stringify(t)}: ${JSON.stringify(p)}`)),
+    "  }",
+    "}",
+    "",
+  ].join("\n");
+}
+
+// Postings of docs numbered below `first` → head, the rest → tail
+function splitPostings(terms, first) {
+  const head = {};
+  const tail = {};
+  for (const [t, postings] of Object.entries(terms)) {
+    const a = postings.filter(([doc]) => doc < first);
+    const b = postings.filter(([doc]) => doc >= first);
+    if (a.length) head[t] = a;
+    if (b.length) tail[t] = b;
+  }
+  return [head, tail];
+}
+
+// ── Output ────────────────────────────────────────────────────────────────────
+
+// Writes entries from buildEntry (any order) → { pages, sections, terms }.
+// search-index.json holds the pages, the collection stats and the pages'
+// postings; section docs and their postings go to search-sections.json, which
+// the browser fetches alongside (/assets/js/search.mjs addSections). Doc
+// numbers run on from the pages into the sections.
+export function writeSearchIndex(entries) {
+  // Pages first (url order), then their sections; section entries carry "page"
+  const sorted = [...entries].sort((a, b) => Boolean(a.page) - Boolean(b.page) || a.url.localeCompare(b.url));
+  const { avgLengths, terms } = buildInvertedIndex(sorted);
+  const docs = sorted.map(({ fields, ...doc }) => doc);
+  const pages = docs.filter((d) => !d.page).length;
+  const [pageTerms, sectionTerms] = splitPostings(terms, pages);
+
+  const header = [
+    `"version": 3`,
+    `"fields": ${JSON.stringify(FIELDS)}`,
+    `"weights": ${JSON.stringify(FIELDS.map((f) => FIELD_WEIGHTS[f]))}`,
+    `"avgLengths": ${JSON.stringify(avgLengths)}`,
+  ];
+  fs.writeFileSync(SEARCH_INDEX_FILE, serialize(header, { docs: docs.slice(0, pages), terms: pageTerms }), "utf8");
+  fs.writeFileSync(SEARCH_SECTIONS_FILE, serialize([], { docs: docs.slice(pages), terms: sectionTerms }), "utf8");
+  return { pages, sections: docs.length - pages, terms: Object.keys(terms).length };
+}
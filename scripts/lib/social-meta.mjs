@@ -0,0 +1,81 @@
+// scripts/lib/social-meta.mjs
+// Canonical + OpenGraph + Twitter tags for one page. Used by
+// scripts/inject-social-meta.mjs on dist/ and by scripts/dev-server.mjs as
+// pages change.
+
+import { escapeHtml, getMetaDescription, getTitle } from "./html.mjs";
+import { SITE_ORIGIN, SITE_NAME, DEFAULT_OG_IMAGE } from "./pages.mjs";
+
+// Tags this module owns, as found in a source page
+export function findInjectedTags(html) {
+  const found = [];
+  if (/<!--\s*Canonical \+ Open Graph\s*-->/i.test(html)) found.push("<!-- Canonical + Open Graph -->");
+  if (/<link\b[^>]*rel=["']canonical["']/i.test(html)) found.push("canonical");
+  for (const m of html.matchAll(/<meta\b[^>]*(?:property|name)=["']((?:og|twitter):[a-z_:]+)["']/gi)) found.push(m[1]);
+  return [...new Set(found)];
+}
+
+function removeExistingTag(html, kind, key) {
+  // Remove existing og/twitter/canonical tags so we can re-insert cleanly
+  if (kind === "canonical") {
+    return html.replace(/<link\b[^>]*rel=["']canonical["'][^>]*>\s*/gi, "");
+  }
+  if (kind === "property") {
+    const re = new RegExp(`<meta\\b[^>]*property=["']${key}["'][^>]*>\\s*`, "gi");
+    return html.replace(re, "");
+  }
+  if (kind === "name") {
+    const re = new RegExp(`<meta\\b[^>]*name=["']${key}["'][^>]*>\\s*`, "gi");
+    return html.replace(re, "");
+  }
+  return html;
+}
+
+function injectIntoHead(html, tagsBlock) {
+  const headClose = html.search(/<\/head\s*>/i);
+  if (headClose === -1) return html; // no head? bail
+  return html.slice(0, headClose) + tagsBlock + "\n" + html.slice(headClose);
+}
+
+function buildTags({ canonicalUrl, title, description, isHome }) {
+  const ogType = isHome ? "website" : "article";
+
+  // Keep it safe for attributes
+  const t = escapeHtml(title || SITE_NAME);
+  const d = escapeHtml(description || "Plain-English flooring specifications and terminology.");
+  const u = escapeHtml(canonicalUrl);
+
+  return [
+    `<!-- Canonical + Open Graph -->`,
+    `<link rel="canonical" href="${u}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}" />`,
+    `<meta property="og:type" content="${ogType}" />`,
+    `<meta property="og:title" content="${t}" />`,
+    `<meta property="og:description" content="${d}" />`,
+    `<meta property="og:url" content="${u}" />`,
+    `<meta property="og:image" content="${escapeHtml(DEFAULT_OG_IMAGE)}" />`,
+    `<meta name="twitter:card" content="summary" />`,
+  ].join("\n");
+}
+
+// Replaces the tags this module owns; returns the page unchanged if there's
+// no <head> to put them in
+export function injectSocialMeta(html, urlPath) {
+  const canonicalUrl = `${SITE_ORIGIN}${urlPath}`;
+  const title = getTitle(html);
+  const description = getMetaDescription(html);
+  const isHome = urlPath === "/";
+
+  // Remove existing tags we control
+  html = removeExistingTag(html, "canonical");
+  html = removeExistingTag(html, "property", "og:site_name");
+  html = removeExistingTag(html, "property", "og:type");
+  html = removeExistingTag(html, "property", "og:title");
+  html = removeExistingTag(html, "property", "og:description");
+  html = removeExistingTag(html, "property", "og:url");
+  html = removeExistingTag(html, "property", "og:image");
+  html = removeExistingTag(html, "name", "twitter:card");
+
+  const tagsBlock = "\n" + buildTags({ canonicalUrl, title, description, isHome }) + "\n";
+  return injectIntoHead(html, tagsBlock);
+}
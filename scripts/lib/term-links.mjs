@@ -0,0 +1,170 @@
+// scripts/lib/term-links.mjs
+// Links the first mention of other specs in a spec page's copy to the page
+// that explains them. scripts/build-term-links.mjs runs it over the spec pages;
+// the rules are described there.
+
+import { groupBySlug } from "./catalog.mjs";
+import { loadGlossary, normalizeTerm } from "./glossary.mjs";
+import { escapeHtml } from "./html.mjs";
+
+// Past this many, links stop helping the reader
+const MAX_LINKS_PER_PAGE = 8;
+
+// Glossary names that mean something else in running copy ("below grade",
+// "plywood of appropriate grade")
+const AMBIGUOUS_NAMES = new Set(["grade"]);
+
+const LINK_CLASS = "text-blue-700 hover:underline";
+
+// Body copy is text inside these…
+const COPY_ELEMENTS = new Set(["p", "li", "dd"]);
+
+// …and not inside these
+const SKIP_ELEMENTS = new Set([
+  "a", "h1", "h2", "h3", "h4", "h5", "h6", "nav", "details", "summary",
+  "script", "style", "code", "pre", "button", "label", "select", "textarea",
+]);
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Links from a previous run back to plain text
+export function unwrapTermLinks(html) {
+  return html.replace(/<a\b[^>]*\sdata-term-link\b[^>]*>([\s\S]*?)<\/a>/gi, "$1");
+}
+
+// ── Terms ─────────────────────────────────────────────────────────────────────
+
+// Only plain words can be matched in copy: "EPD & HPD" and "T&G" can't
+function isMatchable(name) {
+  return /^[A-Za-z0-9][A-Za-z0-9 -]*$/.test(name);
+}
+
+// normalized name → { name, slug } (resolved per page) or { name, url } (fixed target).
+// Catalog names come first, so a spec's own label links within the material
+function buildTerms(catalog, hubs, glossary) {
+  const terms = new Map();
+  const add = (name, target) => {
+    name = String(name || "").trim();
+    const key = normalizeTerm(name);
+    if (!key || !isMatchable(name) || AMBIGUOUS_NAMES.has(key) || terms.has(key)) return;
+    terms.set(key, {
+      ...target,
+      name,
+      single: !key.includes(" "),
+      // "SPC" must be written SPC; "core type" matches any case
+      exact: name.length > 1 && name === name.toUpperCase() && /[A-Z]/.test(name),
+    });
+  };
+
+  // Spec names: multi-word only, "Cut" or "Backing" would match everywhere
+  for (const entry of catalog) {
+    for (const name of [entry.label.replace(/\([^)]*\)/g, ""), entry.slug.replace(/-/g, " ")]) {
+      if (normalizeTerm(name).includes(" ")) add(name, { slug: entry.slug });
+    }
+  }
+
+  const bySpecUrl = new Map(catalog.map((e) => [e.url, e]));
+  for (const entry of glossary) {
+    const hub = entry.page.match(/^\/specs\/([^/]+)\/$/);
+    const spec = bySpecUrl.get(entry.page);
+    // Material overviews aren't spec explainers
+    if (!spec && !(hub && hubs.has(hub[1]))) continue;
+    const target = spec ? { url: spec.url, slug: spec.slug, material: spec.material, variant: spec.variant } : { slug: hub[1] };
+    for (const name of [entry.term, ...(entry.abbreviations || []), ...(entry.synonyms || [])]) add(name, target);
+  }
+
+  return terms;
+}
+
+// Longest names first, so "wear layer warranty" wins over "wear layer"
+function buildMatcher(terms) {
+  const names = [...terms.values()]
+    .map((t) => t.name)
+    .sort((a, b) => b.length - a.length || a.localeCompare(b))
+    .map((n) => escapeRegExp(n).replace(/[ -]+/g, "[\\s-]+"));
+  return new RegExp(`(?<![\\w-])(${names.join("|")})(?![\\w-])`, "gi");
+}
+
+// Where a term goes from this page, or null
+function resolve(term, page, bySlug, hubs) {
+  // The glossary's page where it's about this page's material and variant
+  // (or the material's shared specs); anywhere else the hub, which covers
+  // every material. "Rigid core" in glue-down copy goes to /specs/core-type/.
+  if (term.url) {
+    const sameMaterial = term.material === page.material;
+    if (sameMaterial && (!term.variant || term.variant === page.variant)) return term.url;
+    if (!term.single && hubs.has(term.slug)) return `/specs/${term.slug}/`;
+    return sameMaterial ? term.url : null;
+  }
+
+  // Another variant's page would describe that variant ("Backing System" is
+  // carpet tile's), so within a material only the shared pages count
+  const versions = bySlug.get(term.slug) || [];
+  const own =
+    versions.find((e) => e.material === page.material && e.variant === page.variant) ||
+    versions.find((e) => e.material === page.material && !e.variant);
+  if (own) return own.url;
+  if (term.single) return null;
+  // Another material's page is about that material; the hub compares them
+  return hubs.has(term.slug) ? `/specs/${term.slug}/` : null;
+}
+
+// ── Linking ───────────────────────────────────────────────────────────────────
+
+// What linkMain needs for every page: the terms, their matcher, the catalog by
+// slug and the slugs that have a /specs/<slug>/ hub
+export function buildContext(catalog, hubs, glossary = loadGlossary()) {
+  const bySlug = groupBySlug(catalog);
+  for (const versions of bySlug.values()) versions.sort((a, b) => a.url.localeCompare(b.url));
+  const terms = buildTerms(catalog, hubs, glossary);
+  return { terms, matcher: buildMatcher(terms), bySlug, hubs };
+}
+
+// Links the copy of one page's <main>; page is its catalog entry
+export function linkMain(main, page, ctx) {
+  // Links the copy already has; the related block's chips don't count
+  const body = main.replace(/<!-- related:start[\s\S]*?<!-- related:end -->/, "");
+  const linked = new Set([page.url, ...[...body.matchAll(/<a\b[^>]*\shref=["']([^"'#]+)["']/gi)].map((m) => m[1])]);
+  const parts = main.split(/(<!--[\s\S]*?-->|<[^>]+>)/);
+  const skipped = [];
+  let copy = 0;
+  let inMeasure = false;
+  let count = 0;
+
+  const out = parts.map((part) => {
+    if (part.startsWith("<")) {
+      const tag = part.match(/^<(\/?)([a-z0-9]+)/i);
+      if (!tag) return part;
+      const [, closing, name] = tag;
+      const lower = name.toLowerCase();
+      if (SKIP_ELEMENTS.has(lower)) {
+        if (!closing) skipped.push(lower);
+        else if (skipped.at(-1) === lower) skipped.pop();
+      } else if (COPY_ELEMENTS.has(lower)) {
+        copy += closing ? -1 : 1;
+      } else if (lower === "span" && !closing && /\bdata-measure=/.test(part)) {
+        inMeasure = true;
+      } else if (lower === "span" && closing && inMeasure) {
+        inMeasure = false;
+      }
+      return part;
+    }
+    if (skipped.length || copy <= 0 || inMeasure || count >= MAX_LINKS_PER_PAGE || !part.trim()) return part;
+
+    return part.replace(ctx.matcher, (text) => {
+      if (count >= MAX_LINKS_PER_PAGE) return text;
+      const term = ctx.terms.get(normalizeTerm(text));
+      if (!term || (term.exact && text !== term.name)) return text;
+      if (term.slug === page.slug) return text;
+      const url = resolve(term, page, ctx.bySlug, ctx.hubs);
+      if (!url || linked.has(url)) return text;
+      linked.add(url);
+      count++;
+      return `<a href="${escapeHtml(url)}" class="${LINK_CLASS}" data-term-link>${text}</a>`;
+    });
+  });
+
+  return { main: out.join(""), count };
+}
@@ -0,0 +1,76 @@
+// scripts/lib/term-links.test.mjs
+// Run: npm test
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildContext, linkMain } from "./term-links.mjs";
+
+function spec(url, material, variant, slug, label) {
+  return { url, material, variant, slug, label };
+}
+
+const CATALOG = [
+  spec("/materials/lvt/rigid-core/specs/construction/core-type.html", "lvt", "rigid-core", "core-type", "Core Type"),
+  spec("/materials/lvt/specs/construction/core-type.html", "lvt", null, "core-type", "Core Type"),
+  spec("/materials/laminate/specs/construction/core-type.html", "laminate", null, "core-type", "Core Type"),
+  spec("/materials/lvt/rigid-core/specs/performance/wear-layer.html", "lvt", "rigid-core", "wear-layer", "Wear Layer"),
+  spec("/materials/lvt/glue-down/specs/performance/wear-layer.html", "lvt", "glue-down", "wear-layer", "Wear Layer"),
+  spec("/materials/hardwood/solid-hardwood/specs/performance/janka-hardness.html", "hardwood", "solid-hardwood", "janka-hardness", "Janka Hardness"),
+  spec("/materials/hardwood/engineered-hardwood/specs/construction/thickness.html", "hardwood", "engineered-hardwood", "thickness", "Thickness"),
+  spec("/materials/laminate/specs/performance/ac-rating.html", "laminate", null, "ac-rating", "AC Rating"),
+];
+
+const GLOSSARY = [
+  {
+    term: "Janka Hardness",
+    synonyms: ["janka"],
+    definition: "…",
+    page: "/materials/hardwood/solid-hardwood/specs/performance/janka-hardness.html",
+  },
+];
+
+const ctx = buildContext(CATALOG, new Set(["core-type", "wear-layer"]), GLOSSARY);
+
+function page(url) {
+  return CATALOG.find((e) => e.url === url);
+}
+
+// href of every generated link, in order
+function links(html) {
+  return [...html.matchAll(/<a href="([^"]+)"[^>]*data-term-link>/g)].map((m) => m[1]);
+}
+
+test("a spec on the page's own variant wins over the material's shared one", () => {
+  const { main } = linkMain("<p>The core type sets the wear layer's support.</p>", page("/materials/lvt/rigid-core/specs/performance/wear-layer.html"), ctx);
+  assert.deepEqual(links(main), ["/materials/lvt/rigid-core/specs/construction/core-type.html"]);
+});
+
+test("another variant falls back to the material's shared spec", () => {
+  const { main } = linkMain("<p>Core type matters less when glued down.</p>", page("/materials/lvt/glue-down/specs/performance/wear-layer.html"), ctx);
+  assert.deepEqual(links(main), ["/materials/lvt/specs/construction/core-type.html"]);
+});
+
+test("a spec the material doesn't have goes to its hub", () => {
+  const { main } = linkMain("<p>Unlike LVT, there is no core type or wear layer here.</p>", page("/materials/hardwood/engineered-hardwood/specs/construction/thickness.html"), ctx);
+  assert.deepEqual(links(main), ["/specs/core-type/", "/specs/wear-layer/"]);
+});
+
+test("single-word terms only link within the same material", () => {
+  const copy = "<p>Janka is a hardwood test.</p>";
+  const hardwood = linkMain(copy, page("/materials/hardwood/engineered-hardwood/specs/construction/thickness.html"), ctx);
+  assert.deepEqual(links(hardwood.main), ["/materials/hardwood/solid-hardwood/specs/performance/janka-hardness.html"]);
+  const laminate = linkMain(copy, page("/materials/laminate/specs/performance/ac-rating.html"), ctx);
+  assert.deepEqual(links(laminate.main), []);
+});
+
+test("headings and FAQ answers are left alone", () => {
+  const main = [
+    "<h2>Core Type and Wear Layer</h2>",
+    "<details><summary>Does core type matter?</summary><p>Core type sets the wear layer's support.</p></details>",
+    "<p>See the core type.</p>",
+  ].join("\n");
+  const r = linkMain(main, page("/materials/lvt/rigid-core/specs/performance/wear-layer.html"), ctx);
+  assert.equal(r.count, 1);
+  assert.deepEqual(links(r.main), ["/materials/lvt/rigid-core/specs/construction/core-type.html"]);
+  assert.ok(r.main.startsWith("<h2>Core Type and Wear Layer</h2>\n<details><summary>Does core type matter?</summary><p>Core type sets"));
+});
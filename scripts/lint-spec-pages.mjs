@@ -0,0 +1,226 @@
+// scripts/lint-spec-pages.mjs
+// Fails the build if a page under materials/ breaks the spec page template:
+//   <title> ending in "| Flooring Reference", a meta description, an <h1> with
+//   a subtitle <span>, then in this order: the "Quick answer" card, jump chips
+//   (each pointing at a real id), #faq, "Related specs to compare" and the
+//   "Reference-Only Information" block.
+// Titles and descriptions are also checked for length and for duplicates
+// across materials/ (index pages included; the section checks are for spec
+// pages only).
+// Known problems live in scripts/lint-spec-pages.baseline.json as "<url> <code>"
+// entries and don't fail the build. Anything new fails it, and so does an
+// entry that no longer occurs, so the baseline only ever shrinks.
+// Run: node scripts/lint-spec-pages.mjs
+//      node scripts/lint-spec-pages.mjs --update-baseline   (rewrite the baseline)
+
+import fs from "fs";
+import path from "path";
+import { getMetaDescription, getTitle, isRedirectStub, unwrapMeasures } from "./lib/html.mjs";
+import { ROOT, SITE_NAME, fileToUrl, walk } from "./lib/pages.mjs";
+
+const MATERIALS_DIR = path.join(ROOT, "materials");
+const BASELINE_FILE = path.join(ROOT, "scripts", "lint-spec-pages.baseline.json");
+
+const TITLE_SUFFIX = `| ${SITE_NAME}`;
+
+// Roughly where search results cut them off
+const MAX_TITLE_LENGTH = 70;
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// Index of the first match in the page, or -1
+function find(html, re) {
+  const m = html.match(re);
+  return m ? m.index : -1;
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+// Each problem is { code, message }; codes (plus the chip id) are what the
+// baseline records, so rewording a message doesn't invalidate it
+function checkHead(html) {
+  const problems = [];
+
+  const title = getTitle(html);
+  if (!title) {
+    problems.push({ code: "title-missing", message: "no <title>" });
+  } else {
+    if (!title.endsWith(TITLE_SUFFIX)) {
+      problems.push({ code: "title-suffix", message: `<title> doesn't end with "${TITLE_SUFFIX}": "${title}"` });
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      problems.push({ code: "title-length", message: `<title> is ${title.length} characters (max ${MAX_TITLE_LENGTH})` });
+    }
+  }
+
+  const description = getMetaDescription(html);
+  if (!description) {
+    problems.push({ code: "description-missing", message: "no meta description" });
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    problems.push({ code: "description-length", message: `meta description is ${description.length} characters (max ${MAX_DESCRIPTION_LENGTH})` });
+  }
+
+  return problems;
+}
+
+// Template sections in the order they must appear
+const SECTIONS = [
+  { code: "h1", label: "<h1>", re: /<h1\b/i },
+  { code: "quick-answer", label: '"Quick answer" card', re: />\s*Quick answer\s*</i },
+  { code: "jump-chips", label: "jump chips", re: null },
+  { code: "faq", label: "#faq section", re: /\bid=["']faq["']/i },
+  { code: "related", label: '"Related specs to compare"', re: />\s*Related specs to compare\s*</i },
+  { code: "reference", label: '"Reference-Only Information"', re: />\s*Reference-Only Information\s*</i },
+];
+
+// Jump chips: in-page links in the intro block that holds the <h1>
+function getJumpChips(main) {
+  const intro = main.match(/<section\b[^>]*>(?:(?!<\/section>)[\s\S])*?<h1\b[\s\S]*?<\/section>/i);
+  if (!intro) return { at: -1, ids: [] };
+  const chips = [...intro[0].matchAll(/<a\b[^>]*\bhref=["']#([^"']+)["']/gi)];
+  return {
+    at: chips.length ? intro.index + chips[0].index : -1,
+    ids: chips.map((m) => decodeURIComponent(m[1])),
+  };
+}
+
+function checkSpecPage(html) {
+  const problems = [];
+  const main = (html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i) || [])[1];
+  if (!main) return [{ code: "main-missing", message: "no <main>" }];
+
+  const h1 = main.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  if (h1 && !/<span\b/i.test(h1[1])) {
+    problems.push({ code: "h1-subtitle", message: "<h1> has no subtitle <span>" });
+  }
+
+  const chips = getJumpChips(main);
+  const ids = new Set([...html.matchAll(/\bid=["']([^"']+)["']/gi)].map((m) => m[1]));
+  for (const id of chips.ids) {
+    if (!ids.has(id)) problems.push({ code: `chip-target:#${id}`, message: `jump chip points at #${id}, which isn't on the page` });
+  }
+
+  const found = SECTIONS.map((s) => ({ ...s, at: s.re ? find(main, s.re) : chips.at }));
+  for (const s of found) {
+    if (s.at === -1) problems.push({ code: `${s.code}-missing`, message: `no ${s.label}` });
+  }
+
+  const present = found.filter((s) => s.at !== -1);
+  for (let i = 1; i < present.length; i++) {
+    if (present[i].at < present[i - 1].at) {
+      problems.push({ code: `order:${present[i].code}`, message: `${present[i].label} comes before ${present[i - 1].label}` });
+    }
+  }
+
+  return problems;
+}
+
+// Same <title> or meta description on more than one page
+function checkDuplicates(pages) {
+  const problems = new Map();
+  for (const [field, code] of [["title", "title-duplicate"], ["description", "description-duplicate"]]) {
+    const byValue = new Map();
+    for (const p of pages) {
+      if (!p[field]) continue;
+      const key = p[field].toLowerCase();
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(p.url);
+    }
+    for (const urls of byValue.values()) {
+      if (urls.length < 2) continue;
+      for (const url of urls) {
+        if (!problems.has(url)) problems.set(url, []);
+        // One problem per other page, so a new duplicate isn't covered by an old one
+        for (const other of urls.filter((u) => u !== url)) {
+          problems.get(url).push({ code: `${code}:${other}`, message: `same ${field} as ${other}` });
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+// ── Baseline ──────────────────────────────────────────────────────────────────
+
+// "/materials/carpet/ description-length"
+const baselineKey = (url, code) => `${url} ${code}`;
+
+function readBaseline() {
+  if (!fs.existsSync(BASELINE_FILE)) return [];
+  return JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8"));
+}
+
+function writeBaseline(results) {
+  const keys = new Set();
+  for (const [url, problems] of results) {
+    for (const p of problems) keys.add(baselineKey(url, p.code));
+  }
+  const out = [...keys].sort();
+  fs.writeFileSync(BASELINE_FILE, JSON.stringify(out, null, 2) + "\n", "utf8");
+  return out.length;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  const pages = [];
+  for (const filePath of walk(MATERIALS_DIR)) {
+    if (!filePath.toLowerCase().endsWith(".html")) continue;
+    const html = unwrapMeasures(fs.readFileSync(filePath, "utf8"));
+    if (isRedirectStub(html)) continue;
+    pages.push({
+      url: fileToUrl(filePath),
+      html,
+      isSpec: path.basename(filePath) !== "index.html",
+      title: getTitle(html),
+      description: getMetaDescription(html),
+    });
+  }
+
+  const duplicates = checkDuplicates(pages);
+  const results = new Map(pages.map((p) => [
+    p.url,
+    [...checkHead(p.html), ...(p.isSpec ? checkSpecPage(p.html) : []), ...(duplicates.get(p.url) || [])],
+  ]));
+
+  if (process.argv.includes("--update-baseline")) {
+    const n = writeBaseline(results);
+    console.log(`✅ Wrote ${n} known problem(s) to ${path.relative(ROOT, BASELINE_FILE)}`);
+    return;
+  }
+
+  const baseline = new Set(readBaseline());
+  const current = new Set();
+  const fresh = [];
+  let known = 0;
+  for (const [url, problems] of results) {
+    for (const p of problems) {
+      const key = baselineKey(url, p.code);
+      current.add(key);
+      if (baseline.has(key)) known++;
+      else fresh.push(`${url}: ${p.message}`);
+    }
+  }
+
+  // Baseline entries that no longer occur: the page was fixed (or removed)
+  const fixed = [...baseline].filter((key) => !current.has(key));
+
+  if (fresh.length) {
+    console.error(`\n❌ Spec page template problems: ${fresh.length}`);
+    for (const p of fresh.slice(0, 100)) console.error(`- ${p}`);
+    if (fresh.length > 100) console.error(`(Showing first 100 of ${fresh.length})`);
+  }
+  if (fixed.length) {
+    console.error(`\n❌ Baselined problems that no longer occur: ${fixed.length} (run node scripts/lint-spec-pages.mjs --update-baseline to drop them)`);
+    for (const key of fixed.slice(0, 100)) console.error(`- ${key}`);
+    if (fixed.length > 100) console.error(`(Showing first 100 of ${fixed.length})`);
+  }
+  if (fresh.length || fixed.length) {
+    console.error("");
+    process.exit(1);
+  }
+
+  const specCount = pages.filter((p) => p.isSpec).length;
+  console.log(`✅ Spec pages match the template (${specCount} spec pages, ${pages.length - specCount} index pages; ${known} known problem(s) in the baseline)`);
+}
+
+main();
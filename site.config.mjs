@@ -0,0 +1,45 @@
+// site.config.mjs
+// Site-wide settings for the build scripts in scripts/. Page discovery
+// (scripts/lib/pages.mjs) reads the sections from here, so adding a top-level
+// section to the site means adding it to `sections` and nothing else.
+
+export default {
+  // Canonical origin: sitemap <loc>s, canonical / og:url, JSON-LD item URLs
+  origin: "https://floorref.com",
+  siteName: "Flooring Reference",
+
+  // GA4 Measurement ID injected into dist/ by scripts/inject-ga4.mjs
+  gaId: "G-KJPSMV89KV",
+
+  // Default og:image, relative to origin
+  ogImage: "/assets/og-default.png",
+
+  // Top-level folders whose .html files are pages
+  sections: ["materials", "compare", "specs", "glossary", "sitemap", "search", "about", "contact", "legal"],
+
+  // Pages that sit at the repo root
+  rootPages: ["index.html", "404.html"],
+
+  // Everything else copied to dist/ as is (scripts/build-dist.mjs): folders,
+  // then files at the root, where "*" matches any run of characters. Nothing
+  // outside sections, rootPages and these two lists is published.
+  assetDirs: ["assets", "data"],
+  rootFiles: [
+    "_redirects", "robots.txt", "sitemap*.xml", "search-index.json", "search-sections.json",
+    "tailwind.css", "favicon.ico", "ads.txt",
+  ],
+
+  // Served for missing paths; gets GA but no canonical / social meta, and is
+  // never listed
+  errorPage: "404.html",
+
+  // Pages that exist but stay out of sitemap.xml and search-index.json
+  // (a trailing "/" matches the whole folder). Redirect sources from
+  // _redirects are always left out as well.
+  excludedUrls: ["/search/", "/about/", "/contact/", "/legal/", "/sitemap/"],
+
+  // Listed pages kept out of search-index.json only: checklist packets repeat
+  // the checklists of the spec pages they're built from, and would outrank
+  // them. "*" matches any run of characters.
+  unsearchedUrls: ["/materials/*/checklist/"],
+};